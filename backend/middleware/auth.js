@@ -1,9 +1,54 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const asyncHandler = require('./asyncHandler');
 
+// 计算设备ID摘要（令牌中只保存摘要）
+const hashDeviceId = (deviceId) => {
+    return crypto.createHash('sha256').update(String(deviceId)).digest('hex');
+};
+
+// 游客令牌与设备绑定：请求必须携带签发时的设备ID
+const isGuestDeviceValid = (req, decoded) => {
+    const deviceId = req.get('X-Device-Id');
+    return !!deviceId && hashDeviceId(deviceId) === decoded.device;
+};
+
+// 解析游客令牌，返回游客用户ID；无效时返回null
+const decodeGuestToken = (token, req) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.type !== 'guest' || !isGuestDeviceValid(req, decoded)) {
+            return null;
+        }
+        return decoded.id;
+    } catch (error) {
+        return null;
+    }
+};
+
+// 检查访问令牌对应的会话是否仍然有效（游客令牌不绑定会话）
+const findActiveSession = async (decoded) => {
+    if (decoded.type === 'guest') {
+        return null;
+    }
+
+    if (!decoded.sid) {
+        return false;
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive || session.user.toString() !== decoded.id) {
+        return false;
+    }
+
+    return session;
+};
+
 // 保护路由中间件
-const auth = asyncHandler(async (req, res, next) => {
+// allowGuest 为 true 时同时接受游客令牌（发布告解、投票、评论）
+const createAuth = ({ allowGuest = false } = {}) => asyncHandler(async (req, res, next) => {
     let token;
 
     // 检查Authorization头部
@@ -27,6 +72,22 @@ const auth = asyncHandler(async (req, res, next) => {
         // 验证token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        if (decoded.type === 'guest') {
+            if (!allowGuest) {
+                return res.status(403).json({
+                    success: false,
+                    error: '游客无法进行此操作，请先注册账号'
+                });
+            }
+
+            if (!isGuestDeviceValid(req, decoded)) {
+                return res.status(401).json({
+                    success: false,
+                    error: '游客凭证与当前设备不匹配'
+                });
+            }
+        }
+
         // 获取用户信息
         const user = await User.findById(decoded.id).select('-password');
 
@@ -37,6 +98,31 @@ const auth = asyncHandler(async (req, res, next) => {
             });
         }
 
+        // 防止使用普通令牌冒充游客或反之
+        if ((decoded.type === 'guest') !== user.isGuest) {
+            return res.status(401).json({
+                success: false,
+                error: '无效的登录凭证'
+            });
+        }
+
+        // 修改或重置密码后，之前签发的令牌全部失效
+        if (user.changedPasswordAfter(decoded.iat)) {
+            return res.status(401).json({
+                success: false,
+                error: '密码已更改，请重新登录'
+            });
+        }
+
+        // 检查会话是否已被登出或撤销
+        const session = await findActiveSession(decoded);
+        if (session === false) {
+            return res.status(401).json({
+                success: false,
+                error: '登录会话已失效，请重新登录'
+            });
+        }
+
         // 检查用户状态
         if (user.status !== 'active') {
             return res.status(403).json({
@@ -54,6 +140,7 @@ const auth = asyncHandler(async (req, res, next) => {
         }
 
         req.user = user;
+        req.authSession = session;
         next();
     } catch (error) {
         console.error('Token验证失败:', error.message);
@@ -77,6 +164,9 @@ const auth = asyncHandler(async (req, res, next) => {
     }
 });
 
+const auth = createAuth();
+const guestAuth = createAuth({ allowGuest: true });
+
 // 角色授权中间件
 const authorize = (...roles) => {
     return (req, res, next) => {
@@ -120,11 +210,20 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
         // 验证token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // 游客令牌需校验设备
+        if (decoded.type === 'guest' && !isGuestDeviceValid(req, decoded)) {
+            return next();
+        }
+
         // 获取用户信息
         const user = await User.findById(decoded.id).select('-password');
 
-        if (user && user.status === 'active' && !user.isLocked) {
-            req.user = user;
+        if (user && user.status === 'active' && !user.isLocked && !user.changedPasswordAfter(decoded.iat)) {
+            const session = await findActiveSession(decoded);
+            if (session !== false) {
+                req.user = user;
+                req.authSession = session;
+            }
         }
     } catch (error) {
         // 可选认证失败时不返回错误，只是不设置req.user
@@ -134,10 +233,35 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
     next();
 });
 
+// 邮箱验证中间件：开启 REQUIRE_EMAIL_VERIFICATION 后，未验证邮箱的注册用户无法发布告解
+// 游客没有邮箱，由游客模式的频率限制单独约束
+const requireVerifiedEmail = (req, res, next) => {
+    if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+        return next();
+    }
+
+    if (req.user && req.user.role === 'user' && !req.user.emailVerified) {
+        return res.status(403).json({
+            success: false,
+            error: '请先验证邮箱后再发布告解',
+            code: 'EMAIL_NOT_VERIFIED'
+        });
+    }
+
+    next();
+};
+
 // 检查资源所有权中间件
 const checkOwnership = (Model, paramName = 'id', userField = 'author') => {
     return asyncHandler(async (req, res, next) => {
-        const resource = await Model.findById(req.params[paramName]);
+        const query = Model.findById(req.params[paramName]);
+
+        // 支持匿名发布者密钥的模型需要额外取出私有字段
+        if (Model.schema.path('ownerKey')) {
+            query.select('+ownerKey');
+        }
+
+        const resource = await query;
 
         if (!resource) {
             return res.status(404).json({
@@ -155,8 +279,11 @@ const checkOwnership = (Model, paramName = 'id', userField = 'author') => {
         // 检查所有权
         const resourceUserId = resource[userField] ? resource[userField].toString() : null;
         const currentUserId = req.user.id.toString();
+        const isOwner = typeof resource.isOwnedBy === 'function'
+            ? resource.isOwnedBy(currentUserId)
+            : resourceUserId === currentUserId;
 
-        if (resourceUserId !== currentUserId) {
+        if (!isOwner) {
             return res.status(403).json({
                 success: false,
                 error: '无权访问此资源'
@@ -170,7 +297,13 @@ const checkOwnership = (Model, paramName = 'id', userField = 'author') => {
 
 module.exports = {
     auth,
+    guestAuth,
     authorize,
     optionalAuth,
-    checkOwnership
+    checkOwnership,
+    requireVerifiedEmail,
+    hashDeviceId,
+    isGuestDeviceValid,
+    decodeGuestToken,
+    findActiveSession
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const asyncHandler = require('./asyncHandler');
+
+// 幂等请求中间件（需放在认证中间件之后）
+// 请求携带 Idempotency-Key 头部时：
+//   - 首次请求正常处理，成功（2xx）的响应被保存；失败时删除记录，允许客户端修正后用同一个键重试
+//   - 重复请求直接返回保存的响应，并带有 Idempotent-Replayed: true 头部
+//   - 同一个键的请求仍在处理中时返回 409
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+const STALE_AFTER = 60 * 1000; // 处理中的记录超过一分钟视为请求已中断
+
+const fingerprintOf = (req) => crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+const idempotency = asyncHandler(async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Idempotency-Key 格式无效'
+        });
+    }
+
+    const scope = { user: req.user.id, key };
+    const fingerprint = fingerprintOf(req);
+
+    const existing = await IdempotencyKey.findOne(scope);
+    if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+            return res.status(422).json({
+                success: false,
+                error: '该幂等键已用于其他请求',
+                code: 'IDEMPOTENCY_KEY_REUSED'
+            });
+        }
+
+        if (existing.response && existing.response.statusCode) {
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.response.statusCode).json(existing.response.body);
+        }
+
+        if (Date.now() - existing.createdAt.getTime() < STALE_AFTER) {
+            return res.status(409).json({
+                success: false,
+                error: '相同的请求正在处理中，请稍后重试',
+                code: 'REQUEST_IN_PROGRESS'
+            });
+        }
+
+        await existing.deleteOne();
+    }
+
+    let record;
+    try {
+        record = await IdempotencyKey.create({
+            ...scope,
+            method: req.method,
+            path: req.originalUrl,
+            fingerprint
+        });
+    } catch (error) {
+        // 并发的相同请求已先创建了记录
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                error: '相同的请求正在处理中，请稍后重试',
+                code: 'REQUEST_IN_PROGRESS'
+            });
+        }
+        throw error;
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        const saving = res.statusCode >= 200 && res.statusCode < 300
+            ? record.updateOne({
+                $set: {
+                    response: {
+                        statusCode: res.statusCode,
+                        body: JSON.parse(JSON.stringify(body))
+                    }
+                }
+            })
+            : record.deleteOne();
+        saving.catch(error => console.error('保存幂等记录失败:', error.message));
+
+        return json(body);
+    };
+
+    next();
+});
+
+module.exports = idempotency;
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const asyncHandler = require('./asyncHandler');
+const { isGuestDeviceValid, findActiveSession } = require('./auth');
 
 // 可选认证中间件（不强制要求登录）
 // 如果提供了有效token，则设置req.user；否则继续执行而不报错
@@ -26,12 +27,21 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
         // 验证token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // 游客令牌需校验设备
+        if (decoded.type === 'guest' && !isGuestDeviceValid(req, decoded)) {
+            return next();
+        }
+
         // 获取用户信息
         const user = await User.findById(decoded.id).select('-password');
 
         // 只有在用户存在且状态正常时才设置req.user
-        if (user && user.status === 'active' && !user.isLocked) {
-            req.user = user;
+        if (user && user.status === 'active' && !user.isLocked && !user.changedPasswordAfter(decoded.iat)) {
+            const session = await findActiveSession(decoded);
+            if (session !== false) {
+                req.user = user;
+                req.authSession = session;
+            }
         }
     } catch (error) {
         // 可选认证失败时不返回错误，只是不设置req.user
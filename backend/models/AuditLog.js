@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, '操作者不能为空']
+    },
+    actorRole: {
+        type: String,
+        enum: ['moderator', 'admin']
+    },
+    action: {
+        type: String,
+        required: [true, '操作类型不能为空'],
+        trim: true // 如 user.status、confession.moderate、batch.hide
+    },
+    targetType: {
+        type: String,
+        enum: ['user', 'confession', 'comment', 'report', 'filter', 'setting'],
+        required: [true, '操作对象类型不能为空']
+    },
+    targetIds: [{
+        type: mongoose.Schema.Types.ObjectId
+    }],
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    reason: {
+        type: String,
+        maxlength: [500, '原因不能超过500个字符']
+    },
+    ipAddress: String,
+    userAgent: String
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// 索引
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetIds: 1, createdAt: -1 });
+
+// 静态方法：记录一次管理操作
+// 日志写入失败不影响管理操作本身，只输出错误
+auditLogSchema.statics.record = async function(req, entry) {
+    const {
+        action,
+        targetType,
+        targetIds = [],
+        before = null,
+        after = null,
+        reason
+    } = entry;
+
+    try {
+        return await this.create({
+            actor: req.user.id,
+            actorRole: req.user.role,
+            action,
+            targetType,
+            targetIds: Array.isArray(targetIds) ? targetIds : [targetIds],
+            before,
+            after,
+            reason,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+    } catch (error) {
+        console.error('记录管理日志失败:', error.message, { action, targetType, targetIds });
+        return null;
+    }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -67,6 +67,32 @@ const commentSchema = new mongoose.Schema({
             type: Number,
             default: 0
         },
+        autoHidden: {
+            type: Boolean,
+            default: false // 因举报过多被自动隐藏，等待人工审核
+        },
+        autoHiddenAt: Date,
+        filterHits: [{
+            _id: false,
+            filter: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'ContentFilter'
+            },
+            action: String
+        }],
+        piiDetections: [{
+            _id: false,
+            field: String,
+            type: {
+                type: String
+            },
+            label: String,
+            action: {
+                type: String,
+                enum: ['masked', 'flagged']
+            },
+            count: Number
+        }],
         moderatedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
@@ -106,9 +132,15 @@ commentSchema.index({ createdAt: -1 }); // 时间排序
 // 文本搜索索引
 commentSchema.index({ content: 'text' });
 
+// 中间件：保存前记录是否为新评论（post钩子中isNew已被重置为false）
+commentSchema.pre('save', function(next) {
+    this.$locals.wasNew = this.isNew;
+    next();
+});
+
 // 中间件：保存后更新告解的评论数
 commentSchema.post('save', async function() {
-    if (this.isNew && this.status === 'approved') {
+    if (this.$locals.wasNew && this.status === 'approved') {
         try {
             const Confession = mongoose.model('Confession');
             const confession = await Confession.findById(this.confession);
@@ -129,6 +161,31 @@ commentSchema.post('save', async function() {
 // 中间件：删除后更新相关计数
 commentSchema.post('deleteOne', { document: true, query: false }, async function() {
     try {
+        // 先删除整棵回复树及相关赞踩、举报记录，再重新统计告解的评论数
+        const CommentReaction = mongoose.model('CommentReaction');
+        const Report = mongoose.model('Report');
+        const User = mongoose.model('User');
+        const replies = await this.constructor.findReplyTree(this._id);
+        const replyIds = replies.map(reply => reply._id);
+        const commentIds = [this._id, ...replyIds];
+
+        // 被一并删除的回复同样从作者的评论数中扣除（被删除评论本身由调用方扣除）
+        const countsByAuthor = {};
+        replies.forEach(reply => {
+            const authorId = reply.author.toString();
+            countsByAuthor[authorId] = (countsByAuthor[authorId] || 0) + 1;
+        });
+
+        await Promise.all([
+            this.constructor.deleteMany({ _id: { $in: replyIds } }),
+            CommentReaction.deleteMany({ comment: { $in: commentIds } }),
+            Report.deleteMany({ targetType: 'comment', target: { $in: commentIds } }),
+            ...Object.entries(countsByAuthor).map(([authorId, count]) => User.updateOne(
+                { _id: authorId },
+                [{ $set: { 'stats.commentsCount': { $max: [0, { $subtract: ['$stats.commentsCount', count] }] } } }]
+            ))
+        ]);
+
         const Confession = mongoose.model('Confession');
         const confession = await Confession.findById(this.confession);
         if (confession) {
@@ -139,9 +196,6 @@ commentSchema.post('deleteOne', { document: true, query: false }, async function
         if (this.parentComment) {
             await this.constructor.updateRepliesCount(this.parentComment);
         }
-        
-        // 删除所有子回复
-        await this.constructor.deleteMany({ parentComment: this._id });
     } catch (error) {
         console.error('删除评论后清理失败:', error);
     }
@@ -167,6 +221,23 @@ commentSchema.methods.removeDislike = function() {
     return this.updateOne({ $inc: { dislikes: -1 } });
 };
 
+// 实例方法：根据赞踩记录重新统计赞踩数
+commentSchema.methods.updateReactionCount = async function() {
+    const CommentReaction = mongoose.model('CommentReaction');
+    
+    const [likeCount, dislikeCount] = await Promise.all([
+        CommentReaction.countDocuments({ comment: this._id, type: 'like' }),
+        CommentReaction.countDocuments({ comment: this._id, type: 'dislike' })
+    ]);
+    
+    return this.updateOne({
+        $set: {
+            likes: likeCount,
+            dislikes: dislikeCount
+        }
+    });
+};
+
 // 实例方法：编辑评论
 commentSchema.methods.editContent = function(newContent) {
     return this.updateOne({
@@ -178,14 +249,11 @@ commentSchema.methods.editContent = function(newContent) {
     });
 };
 
-// 实例方法：举报评论
-commentSchema.methods.report = function(reason) {
+// 实例方法：举报评论（举报详情保存在 Report 模型中）
+commentSchema.methods.report = function() {
     return this.updateOne({
         $inc: { 'moderation.reportCount': 1 },
-        $set: { 
-            'moderation.isReported': true,
-            'moderation.moderationReason': reason
-        }
+        $set: { 'moderation.isReported': true }
     });
 };
 
@@ -232,6 +300,20 @@ commentSchema.statics.getCommentReplies = function(commentId, limit = 10, skip =
     .skip(skip);
 };
 
+// 静态方法：收集评论下的全部回复（回复可以针对其他回复，逐层向下查找）
+commentSchema.statics.findReplyTree = async function(commentId) {
+    const replies = [];
+    let parentIds = [commentId];
+
+    while (parentIds.length > 0) {
+        const level = await this.find({ parentComment: { $in: parentIds } }).select('_id author');
+        replies.push(...level);
+        parentIds = level.map(reply => reply._id);
+    }
+
+    return replies;
+};
+
 // 静态方法：更新回复数量
 commentSchema.statics.updateRepliesCount = async function(commentId) {
     const count = await this.countDocuments({
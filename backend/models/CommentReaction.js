@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const commentReactionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, '用户ID不能为空']
+    },
+    comment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        required: [true, '评论ID不能为空']
+    },
+    confession: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Confession',
+        required: [true, '告解ID不能为空']
+    },
+    type: {
+        type: String,
+        enum: ['like', 'dislike'],
+        required: [true, '反应类型不能为空']
+    }
+}, {
+    timestamps: true
+});
+
+// 复合索引：确保每个用户对每条评论只有一个反应
+commentReactionSchema.index({ user: 1, comment: 1 }, { unique: true });
+
+// 其他索引
+commentReactionSchema.index({ comment: 1, type: 1 }); // 按评论和类型统计
+commentReactionSchema.index({ confession: 1 }); // 删除告解时清理
+
+// 中间件：反应变化后更新评论的赞踩数
+commentReactionSchema.post('save', async function() {
+    try {
+        const Comment = mongoose.model('Comment');
+        const comment = await Comment.findById(this.comment);
+        if (comment) {
+            await comment.updateReactionCount();
+        }
+    } catch (error) {
+        console.error('更新评论赞踩数失败:', error);
+    }
+});
+
+// 中间件：删除反应后更新评论的赞踩数
+commentReactionSchema.post('deleteOne', { document: true, query: false }, async function() {
+    try {
+        const Comment = mongoose.model('Comment');
+        const comment = await Comment.findById(this.comment);
+        if (comment) {
+            await comment.updateReactionCount();
+        }
+    } catch (error) {
+        console.error('更新评论赞踩数失败:', error);
+    }
+});
+
+// 静态方法：获取用户对一组评论的反应映射 { commentId: type }
+commentReactionSchema.statics.getUserReactionMap = async function(userId, commentIds) {
+    const reactions = await this.find({
+        user: userId,
+        comment: { $in: commentIds }
+    });
+
+    const reactionMap = {};
+    reactions.forEach(reaction => {
+        reactionMap[reaction.comment.toString()] = reaction.type;
+    });
+
+    return reactionMap;
+};
+
+module.exports = mongoose.model('CommentReaction', commentReactionSchema);
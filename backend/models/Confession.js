@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const { createAuthorKey, sealAuthor, openAuthor } = require('../utils/authorKey');
+const { publish } = require('../utils/liveUpdates');
+
+// 序列化时移除发布者私有字段，防止任何响应泄露
+function hideOwnerFields(doc, ret) {
+    delete ret.ownerKey;
+    delete ret.ownerSeal;
+    return ret;
+}
 
 const confessionSchema = new mongoose.Schema({
     title: {
@@ -22,6 +31,15 @@ const confessionSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // 发布者的私有密钥（匿名告解也会保存），永不对外返回
+    ownerKey: {
+        type: String,
+        select: false
+    },
+    ownerSeal: {
+        type: String,
+        select: false
+    },
     category: {
         type: String,
         enum: ['personal', 'work', 'relationship', 'family', 'moral', 'other'],
@@ -59,6 +77,11 @@ const confessionSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    // 热度分数，投票、评论、浏览量变化时更新，并由定时任务随发布时间衰减（scripts/decayHotScores.js）
+    hotScore: {
+        type: Number,
+        default: 0
+    },
     sharesCount: {
         type: Number,
         default: 0,
@@ -87,6 +110,32 @@ const confessionSchema = new mongoose.Schema({
             type: Number,
             default: 0
         },
+        autoHidden: {
+            type: Boolean,
+            default: false // 因举报过多被自动隐藏，等待人工审核
+        },
+        autoHiddenAt: Date,
+        filterHits: [{
+            _id: false,
+            filter: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'ContentFilter'
+            },
+            action: String
+        }],
+        piiDetections: [{
+            _id: false,
+            field: String,
+            type: {
+                type: String
+            },
+            label: String,
+            action: {
+                type: String,
+                enum: ['masked', 'flagged']
+            },
+            count: Number
+        }],
         moderatedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
@@ -94,19 +143,43 @@ const confessionSchema = new mongoose.Schema({
         moderatedAt: Date,
         moderationReason: String
     },
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    revisions: {
+        type: [{
+            title: String,
+            content: String,
+            tags: [String],
+            editedAt: {
+                type: Date,
+                default: Date.now
+            },
+            editedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        }],
+        select: false // 仅管理员可见
+    },
     featured: {
         type: Boolean,
         default: false
     },
     featuredAt: Date,
+    voteMilestone: {
+        type: Number,
+        default: 0 // 已通知发布者的最高投票里程碑
+    },
     expiresAt: {
         type: Date,
         default: null // 可设置告解过期时间
     }
 }, {
     timestamps: true,
-    toJSON: { virtuals: true },
-    toObject: { virtuals: true }
+    toJSON: { virtuals: true, transform: hideOwnerFields },
+    toObject: { virtuals: true, transform: hideOwnerFields }
 });
 
 // 虚拟字段：总投票数
@@ -126,13 +199,6 @@ confessionSchema.virtual('hellPercentage').get(function() {
     return total > 0 ? Math.round((this.votes.hell / total) * 100) : 0;
 });
 
-// 虚拟字段：热度分数（基于投票、评论、浏览量）
-confessionSchema.virtual('hotScore').get(function() {
-    const ageInHours = (Date.now() - this.createdAt) / (1000 * 60 * 60);
-    const score = (this.totalVotes * 2 + this.commentsCount * 3 + this.viewsCount * 0.1) / Math.pow(ageInHours + 2, 1.5);
-    return Math.round(score * 100) / 100;
-});
-
 // 虚拟字段：是否已过期
 confessionSchema.virtual('isExpired').get(function() {
     return this.expiresAt && this.expiresAt < new Date();
@@ -142,11 +208,14 @@ confessionSchema.virtual('isExpired').get(function() {
 confessionSchema.index({ createdAt: -1 }); // 按时间排序
 confessionSchema.index({ status: 1, createdAt: -1 }); // 状态和时间
 confessionSchema.index({ author: 1, createdAt: -1 }); // 作者的告解
+confessionSchema.index({ ownerKey: 1, createdAt: -1 }); // 发布者（含匿名）的告解
 confessionSchema.index({ category: 1, createdAt: -1 }); // 分类
 confessionSchema.index({ tags: 1 }); // 标签搜索
 confessionSchema.index({ featured: 1, createdAt: -1 }); // 精选告解
 confessionSchema.index({ 'votes.heaven': -1, 'votes.hell': -1 }); // 投票排序
-confessionSchema.index({ viewsCount: -1 }); // 热门排序
+confessionSchema.index({ viewsCount: -1 }); // 浏览量排序
+confessionSchema.index({ status: 1, hotScore: -1 }); // 热门排序
+confessionSchema.index({ category: 1, hotScore: -1 }); // 分类内热门排序
 confessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL索引
 
 // 文本搜索索引
@@ -162,6 +231,35 @@ confessionSchema.index({
     }
 });
 
+// 热度分数：(投票数×2 + 评论数×3 + 浏览量×0.1) / (发布小时数 + 2)^1.5
+const computeHotScore = (confession, now = new Date()) => {
+    const totalVotes = confession.votes.heaven + confession.votes.hell;
+    const ageInHours = (now - (confession.createdAt || now)) / (1000 * 60 * 60);
+    return (totalVotes * 2 + confession.commentsCount * 3 + confession.viewsCount * 0.1) / Math.pow(ageInHours + 2, 1.5);
+};
+
+// 同一公式的聚合表达式，用于原子更新和定时衰减
+const hotScoreExpression = (now = '$$NOW') => ({
+    $divide: [
+        {
+            $add: [
+                { $multiply: [{ $add: ['$votes.heaven', '$votes.hell'] }, 2] },
+                { $multiply: ['$commentsCount', 3] },
+                { $multiply: ['$viewsCount', 0.1] }
+            ]
+        },
+        {
+            $pow: [
+                { $add: [{ $divide: [{ $subtract: [now, '$createdAt'] }, 1000 * 60 * 60] }, 2] },
+                1.5
+            ]
+        }
+    ]
+});
+
+// 超过此时间的告解热度已接近0，衰减任务直接置0，不再逐条计算
+const HOT_SCORE_WINDOW = 30 * 24 * 60 * 60 * 1000;
+
 // 中间件：保存前验证
 confessionSchema.pre('save', function(next) {
     // 清理标签
@@ -176,6 +274,11 @@ confessionSchema.pre('save', function(next) {
     if (this.isNew && !this.expiresAt) {
         this.expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
     }
+
+    // 投票数、评论数或浏览量变化时重新计算热度
+    if (this.isNew || this.isModified('votes') || this.isModified('commentsCount') || this.isModified('viewsCount')) {
+        this.hotScore = computeHotScore(this);
+    }
     
     next();
 });
@@ -185,11 +288,15 @@ confessionSchema.pre('deleteOne', { document: true, query: false }, async functi
     try {
         const Vote = mongoose.model('Vote');
         const Comment = mongoose.model('Comment');
+        const CommentReaction = mongoose.model('CommentReaction');
+        const Report = mongoose.model('Report');
         
-        // 删除相关投票和评论
+        // 删除相关投票、评论、评论赞踩和举报
         await Promise.all([
             Vote.deleteMany({ confession: this._id }),
-            Comment.deleteMany({ confession: this._id })
+            Comment.deleteMany({ confession: this._id }),
+            CommentReaction.deleteMany({ confession: this._id }),
+            Report.deleteMany({ confession: this._id })
         ]);
         
         next();
@@ -198,9 +305,34 @@ confessionSchema.pre('deleteOne', { document: true, query: false }, async functi
     }
 });
 
-// 实例方法：增加浏览量
+// 实例方法：设置发布者（匿名时不写入author）
+confessionSchema.methods.setOwner = function(userId) {
+    this.ownerKey = createAuthorKey(userId);
+    this.ownerSeal = sealAuthor(userId);
+};
+
+// 实例方法：是否为指定用户发布（需查询时选择 +ownerKey）
+confessionSchema.methods.isOwnedBy = function(userId) {
+    if (this.author && this.author.toString() === userId.toString()) {
+        return true;
+    }
+    return !!this.ownerKey && this.ownerKey === createAuthorKey(userId);
+};
+
+// 实例方法：解析发布者ID（需查询时选择 +ownerSeal），仅供服务端内部使用
+confessionSchema.methods.getOwnerId = function() {
+    if (this.author) {
+        return this.author.toString();
+    }
+    return openAuthor(this.ownerSeal);
+};
+
+// 实例方法：增加浏览量，同时原子地更新热度
 confessionSchema.methods.incrementViews = function() {
-    return this.updateOne({ $inc: { viewsCount: 1 } });
+    return this.updateOne([
+        { $set: { viewsCount: { $add: ['$viewsCount', 1] } } },
+        { $set: { hotScore: hotScoreExpression() } }
+    ]);
 };
 
 // 实例方法：增加分享量
@@ -208,6 +340,9 @@ confessionSchema.methods.incrementShares = function() {
     return this.updateOne({ $inc: { sharesCount: 1 } });
 };
 
+// 投票总数达到这些值时通知发布者
+const VOTE_MILESTONES = [10, 50, 100, 500, 1000, 5000];
+
 // 实例方法：更新投票数
 confessionSchema.methods.updateVoteCount = async function() {
     const Vote = mongoose.model('Vote');
@@ -220,7 +355,44 @@ confessionSchema.methods.updateVoteCount = async function() {
     this.votes.heaven = heavenCount;
     this.votes.hell = hellCount;
     
-    return this.save();
+    await this.save();
+
+    // 推送实时投票数
+    if (this.status === 'approved') {
+        publish('votes', {
+            confessionId: this._id.toString(),
+            votes: { heaven: heavenCount, hell: hellCount }
+        });
+    }
+
+    await this.notifyVoteMilestone(heavenCount + hellCount);
+
+    return this;
+};
+
+// 实例方法：投票总数跨过新的里程碑时通知发布者，每个里程碑只通知一次
+confessionSchema.methods.notifyVoteMilestone = async function(total) {
+    const milestone = VOTE_MILESTONES.filter(value => value <= total).pop();
+    if (!milestone || milestone <= (this.voteMilestone || 0)) {
+        return;
+    }
+
+    // 条件更新，避免并发投票重复通知
+    const result = await this.constructor.updateOne(
+        { _id: this._id, voteMilestone: { $lt: milestone } },
+        { $set: { voteMilestone: milestone } }
+    );
+    if (!result.modifiedCount) {
+        return;
+    }
+    this.voteMilestone = milestone;
+
+    const Notification = mongoose.model('Notification');
+    await Notification.notifyConfessionOwner(this, {
+        type: 'vote_milestone',
+        message: `你的告解已获得${milestone}票`,
+        data: { milestone, votes: { heaven: this.votes.heaven, hell: this.votes.hell } }
+    });
 };
 
 // 实例方法：更新评论数
@@ -233,74 +405,87 @@ confessionSchema.methods.updateCommentCount = async function() {
     });
     
     this.commentsCount = count;
-    return this.save();
+    await this.save();
+
+    // 推送实时评论数
+    if (this.status === 'approved') {
+        publish('comments', {
+            confessionId: this._id.toString(),
+            commentsCount: count
+        });
+    }
+
+    return this;
 };
 
-// 实例方法：举报告解
-confessionSchema.methods.report = function(reason) {
+// 实例方法：将当前内容存入修订记录（在修改字段之前调用）
+confessionSchema.methods.addRevision = function(editorId) {
     return this.updateOne({
-        $inc: { 'moderation.reportCount': 1 },
-        $set: { 
-            'moderation.isReported': true,
-            'moderation.moderationReason': reason
+        $push: {
+            revisions: {
+                title: this.title,
+                content: this.content,
+                tags: this.tags,
+                editedAt: new Date(),
+                editedBy: editorId
+            }
         }
     });
 };
 
+// 实例方法：举报告解（举报详情保存在 Report 模型中）
+confessionSchema.methods.report = function() {
+    return this.updateOne({
+        $inc: { 'moderation.reportCount': 1 },
+        $set: { 'moderation.isReported': true }
+    });
+};
+
+// 静态方法：构造查询某用户发布的全部告解（含匿名）的条件
+confessionSchema.statics.ownedByQuery = function(userId) {
+    return {
+        $or: [
+            { ownerKey: createAuthorKey(userId) },
+            { author: userId }
+        ]
+    };
+};
+
 // 静态方法：获取热门告解
-confessionSchema.statics.getHotConfessions = function(limit = 10, skip = 0) {
-    return this.aggregate([
-        {
-            $match: {
-                status: 'approved',
-                $or: [
-                    { expiresAt: null },
-                    { expiresAt: { $gt: new Date() } }
-                ]
-            }
-        },
-        {
-            $addFields: {
-                totalVotes: { $add: ['$votes.heaven', '$votes.hell'] },
-                ageInHours: {
-                    $divide: [
-                        { $subtract: [new Date(), '$createdAt'] },
-                        1000 * 60 * 60
-                    ]
-                }
-            }
-        },
-        {
-            $addFields: {
-                hotScore: {
-                    $divide: [
-                        {
-                            $add: [
-                                { $multiply: ['$totalVotes', 2] },
-                                { $multiply: ['$commentsCount', 3] },
-                                { $multiply: ['$viewsCount', 0.1] }
-                            ]
-                        },
-                        { $pow: [{ $add: ['$ageInHours', 2] }, 1.5] }
-                    ]
-                }
-            }
-        },
-        { $sort: { hotScore: -1 } },
-        { $skip: skip },
-        { $limit: limit },
-        {
-            $lookup: {
-                from: 'users',
-                localField: 'author',
-                foreignField: '_id',
-                as: 'authorInfo',
-                pipeline: [
-                    { $project: { username: 1, avatar: 1 } }
-                ]
-            }
-        }
+confessionSchema.statics.getHotConfessions = function(limit = 10) {
+    return this.find({
+        status: 'approved',
+        $or: [
+            { expiresAt: null },
+            { expiresAt: { $gt: new Date() } }
+        ]
+    })
+        .sort({ hotScore: -1, _id: -1 })
+        .limit(limit)
+        .populate('author', 'username avatar')
+        .select('-metadata -moderation');
+};
+
+// 静态方法：按当前时间重新计算热度分数，由定时任务调用
+// 返回 { updated, expired }，expired 为超出时间窗口被置0的数量
+confessionSchema.statics.decayHotScores = async function(now = new Date()) {
+    const cutoff = new Date(now.getTime() - HOT_SCORE_WINDOW);
+
+    // 衰减不算内容修改，不更新 updatedAt
+    const [recent, stale] = await Promise.all([
+        this.updateMany(
+            { status: 'approved', createdAt: { $gte: cutoff } },
+            [{ $set: { hotScore: hotScoreExpression(now) } }],
+            { timestamps: false }
+        ),
+        this.updateMany(
+            { createdAt: { $lt: cutoff }, hotScore: { $ne: 0 } },
+            { $set: { hotScore: 0 } },
+            { timestamps: false }
+        )
     ]);
+
+    return { updated: recent.modifiedCount, expired: stale.modifiedCount };
 };
 
 // 静态方法：搜索告解
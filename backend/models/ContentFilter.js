@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const safeRegex = require('safe-regex');
+
+const contentFilterSchema = new mongoose.Schema({
+    pattern: {
+        type: String,
+        required: [true, '过滤规则不能为空'],
+        trim: true,
+        maxlength: [200, '过滤规则不能超过200个字符']
+    },
+    type: {
+        type: String,
+        enum: ['keyword', 'regex'],
+        default: 'keyword'
+    },
+    action: {
+        type: String,
+        enum: ['reject', 'mask', 'pending'],
+        required: [true, '处理方式不能为空']
+    },
+    appliesTo: {
+        type: [{
+            type: String,
+            enum: ['confession', 'comment']
+        }],
+        default: ['confession', 'comment']
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    note: {
+        type: String,
+        maxlength: [200, '备注不能超过200个字符']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// 索引
+contentFilterSchema.index({ enabled: 1, appliesTo: 1 });
+contentFilterSchema.index({ pattern: 1, type: 1 }, { unique: true });
+
+// 正则规则会对每条用户内容执行，嵌套量词等可能灾难性回溯的写法会阻塞事件循环
+const isSafePattern = (pattern) => {
+    try {
+        new RegExp(pattern, 'i');
+    } catch (error) {
+        return false;
+    }
+    return safeRegex(pattern);
+};
+
+// 验证正则表达式是否合法且没有回溯风险
+// 在 validate 钩子中检查，只修改 type 时也会校验已有的 pattern
+contentFilterSchema.pre('validate', function(next) {
+    if (this.type === 'regex' && this.pattern && !isSafePattern(this.pattern)) {
+        this.invalidate('pattern', '正则表达式无效或存在回溯风险', this.pattern);
+    }
+    next();
+});
+
+// 实例方法：生成用于匹配的正则（关键词按字面匹配，均不区分大小写）
+// 校验之前写入的不安全正则返回 null，由调用方跳过
+contentFilterSchema.methods.toRegExp = function() {
+    if (this.type === 'regex' && !isSafePattern(this.pattern)) {
+        return null;
+    }
+    const source = this.type === 'regex'
+        ? this.pattern
+        : this.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(source, 'gi');
+};
+
+module.exports = mongoose.model('ContentFilter', contentFilterSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+    follower: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, '关注者ID不能为空']
+    },
+    following: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, '被关注者ID不能为空']
+    }
+}, {
+    timestamps: true
+});
+
+// 复合索引：确保不会重复关注
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+
+// 其他索引
+followSchema.index({ following: 1, createdAt: -1 }); // 粉丝列表
+followSchema.index({ follower: 1, createdAt: -1 }); // 关注列表
+
+// 静态方法：是否已关注
+followSchema.statics.isFollowing = async function(followerId, followingId) {
+    const follow = await this.exists({ follower: followerId, following: followingId });
+    return !!follow;
+};
+
+// 静态方法：获取关注/粉丝数量
+followSchema.statics.getCounts = async function(userId) {
+    const [followersCount, followingCount] = await Promise.all([
+        this.countDocuments({ following: userId }),
+        this.countDocuments({ follower: userId })
+    ]);
+
+    return { followersCount, followingCount };
+};
+
+// 静态方法：获取用户关注的、仍公开资料的用户ID列表
+followSchema.statics.getFollowingIds = async function(userId) {
+    const User = mongoose.model('User');
+    const followingIds = await this.find({ follower: userId }).distinct('following');
+
+    return User.find({
+        _id: { $in: followingIds },
+        status: 'active',
+        'preferences.publicProfile': true
+    }).distinct('_id');
+};
+
+module.exports = mongoose.model('Follow', followSchema);
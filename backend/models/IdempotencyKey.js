@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// 幂等键：客户端重放离线请求时携带 Idempotency-Key，相同的键只执行一次
+// 成功的响应会被保存，重复请求直接返回保存的响应
+const idempotencyKeySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, '幂等键不能为空'],
+        maxlength: [100, '幂等键不能超过100个字符']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, '用户不能为空']
+    },
+    method: String,
+    path: String,
+    fingerprint: {
+        type: String,
+        required: true // 请求内容摘要，防止同一个键被用于不同的请求
+    },
+    response: {
+        statusCode: Number,
+        body: mongoose.Schema.Types.Mixed
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// 索引
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 }); // 保留24小时
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const { sealAuthor, openAuthor } = require('../utils/authorKey');
+const { sendPushToUser, dispatch } = require('../utils/webPush');
+
+// 匿名告解相关的通知会把告解ID等信息加密保存，避免通过通知记录反查匿名作者
+function openSealedData(doc, ret) {
+    if (ret.sealedData) {
+        let opened = {};
+        try {
+            opened = JSON.parse(openAuthor(ret.sealedData)) || {};
+        } catch (error) {
+            opened = {};
+        }
+        ret.data = { ...ret.data, ...opened };
+    }
+    delete ret.sealedData;
+    return ret;
+}
+
+const notificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, '接收者不能为空']
+    },
+    type: {
+        type: String,
+        enum: ['comment', 'reply', 'vote_milestone', 'moderation'],
+        required: [true, '通知类型不能为空']
+    },
+    message: {
+        type: String,
+        required: [true, '通知内容不能为空'],
+        maxlength: [200, '通知内容不能超过200个字符']
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    sealedData: String,
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    minimize: false,
+    toJSON: { transform: openSealedData },
+    toObject: { transform: openSealedData }
+});
+
+// 索引
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // 90天后自动清理
+
+// 截取内容摘要
+const excerpt = (text = '', length = 50) => (text.length > length ? `${text.slice(0, length)}...` : text);
+
+// 静态方法：创建通知；sealed 为 true 时 data 加密保存
+// 通知失败不影响触发它的操作，只输出错误
+notificationSchema.statics.notify = async function({ recipient, type, message, data = {}, sealed = false }) {
+    if (!recipient) {
+        return null;
+    }
+
+    try {
+        return await this.create({
+            recipient,
+            type,
+            message,
+            data: sealed ? {} : data,
+            sealedData: sealed ? sealAuthor(JSON.stringify(data)) : undefined
+        });
+    } catch (error) {
+        console.error('创建通知失败:', error.message, { type });
+        return null;
+    }
+};
+
+// 静态方法：通知告解的发布者（匿名告解通过 ownerSeal 解析发布者，通知数据加密保存）
+// exceptUserId 为触发操作的用户，发布者本人操作时不通知
+notificationSchema.statics.notifyConfessionOwner = async function(confession, { type, message, data = {}, exceptUserId = null }) {
+    const Confession = mongoose.model('Confession');
+    const owned = await Confession.findById(confession._id).select('+ownerSeal author isAnonymous');
+    const ownerId = owned ? owned.getOwnerId() : null;
+
+    if (!ownerId || (exceptUserId && ownerId === exceptUserId.toString())) {
+        return null;
+    }
+
+    return this.notify({
+        recipient: ownerId,
+        type,
+        message,
+        data: { confession: confession._id.toString(), ...data },
+        sealed: owned.isAnonymous
+    });
+};
+
+// 静态方法：新评论公开后通知告解发布者；回复时通知被回复的评论作者
+// comment 需已填充 author；同一人既是告解发布者又是被回复者时只发送回复通知
+notificationSchema.statics.notifyNewComment = async function(comment, confession) {
+    const actorId = comment.author._id ? comment.author._id.toString() : comment.author.toString();
+    const actorName = comment.author.username || '有人';
+    const data = {
+        comment: comment._id.toString(),
+        excerpt: excerpt(comment.content)
+    };
+
+    let parentAuthorId = null;
+    if (comment.parentComment) {
+        const parent = await mongoose.model('Comment').findById(comment.parentComment).select('author');
+        parentAuthorId = parent ? parent.author.toString() : null;
+
+        if (parentAuthorId && parentAuthorId !== actorId) {
+            await this.notify({
+                recipient: parentAuthorId,
+                type: 'reply',
+                message: `${actorName} 回复了你的评论`,
+                data: {
+                    ...data,
+                    confession: confession._id.toString(),
+                    parentComment: comment.parentComment.toString()
+                }
+            });
+
+            dispatch(sendPushToUser(parentAuthorId, {
+                title: `${actorName} 回复了你的评论`,
+                body: data.excerpt,
+                url: `/?confession=${confession._id}`,
+                tag: `reply-${comment.parentComment}`
+            }));
+        }
+    }
+
+    const Confession = mongoose.model('Confession');
+    const owned = await Confession.findById(confession._id).select('+ownerSeal author');
+    const ownerId = owned ? owned.getOwnerId() : null;
+    if (ownerId && ownerId === parentAuthorId) {
+        return;
+    }
+
+    await this.notifyConfessionOwner(confession, {
+        type: 'comment',
+        message: `${actorName} 评论了你的告解`,
+        data,
+        exceptUserId: actorId
+    });
+};
+
+// 静态方法：通知内容作者审核结果
+notificationSchema.statics.notifyModeration = async function(targetType, target, status, reason) {
+    const statusText = {
+        approved: '已通过审核',
+        rejected: '未通过审核',
+        hidden: '已被隐藏',
+        pending: '已转入待审核'
+    }[status];
+    const label = targetType === 'confession' ? '告解' : '评论';
+    const message = `你的${label}${statusText}${reason ? `，原因：${reason}` : ''}`.slice(0, 200);
+    const data = {
+        targetType,
+        status,
+        reason: reason || null,
+        excerpt: excerpt(target.content)
+    };
+
+    if (targetType === 'confession') {
+        return this.notifyConfessionOwner(target, { type: 'moderation', message, data });
+    }
+
+    return this.notify({
+        recipient: target.author,
+        type: 'moderation',
+        message,
+        data: { ...data, confession: target.confession.toString(), comment: target._id.toString() }
+    });
+};
+
+// 静态方法：获取未读数量
+notificationSchema.statics.getUnreadCount = function(userId) {
+    return this.countDocuments({ recipient: userId, readAt: null });
+};
+
+notificationSchema.statics.excerpt = excerpt;
+
+module.exports = mongoose.model('Notification', notificationSchema);
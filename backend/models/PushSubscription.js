@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// 不向客户端返回加密密钥
+function hideKeys(doc, ret) {
+    delete ret.keys;
+    return ret;
+}
+
+// 浏览器推送订阅（Web Push），每个浏览器一条，按 endpoint 去重
+const pushSubscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, '用户不能为空']
+    },
+    endpoint: {
+        type: String,
+        required: [true, '推送地址不能为空'],
+        maxlength: [1000, '推送地址过长']
+    },
+    keys: {
+        p256dh: {
+            type: String,
+            required: [true, '缺少 p256dh 公钥']
+        },
+        auth: {
+            type: String,
+            required: [true, '缺少 auth 密钥']
+        }
+    },
+    userAgent: String,
+    lastSentAt: Date,
+    failureCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true,
+    toJSON: { transform: hideKeys }
+});
+
+// 索引
+pushSubscriptionSchema.index({ endpoint: 1 }, { unique: true });
+pushSubscriptionSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// 举报原因（告解与评论共用）
+const REPORT_REASONS = ['spam', 'inappropriate', 'harassment', 'fake', 'other'];
+
+const reportSchema = new mongoose.Schema({
+    reporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, '举报人不能为空']
+    },
+    targetType: {
+        type: String,
+        enum: ['confession', 'comment'],
+        required: [true, '举报对象类型不能为空']
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, '举报对象不能为空']
+    },
+    confession: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Confession',
+        required: [true, '告解ID不能为空'] // 评论举报时为评论所属告解，便于级联清理
+    },
+    reason: {
+        type: String,
+        enum: REPORT_REASONS,
+        required: [true, '举报原因不能为空']
+    },
+    description: {
+        type: String,
+        maxlength: [200, '描述不能超过200个字符']
+    },
+    state: {
+        type: String,
+        enum: ['open', 'escalated', 'resolved', 'dismissed'],
+        default: 'open'
+    },
+    handledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    handledAt: Date,
+    resolutionNote: {
+        type: String,
+        maxlength: [200, '处理备注不能超过200个字符']
+    }
+}, {
+    timestamps: true
+});
+
+// 复合索引：同一用户对同一内容只能举报一次
+reportSchema.index({ reporter: 1, targetType: 1, target: 1 }, { unique: true });
+
+// 其他索引
+reportSchema.index({ state: 1, targetType: 1, target: 1 }); // 举报队列分组
+reportSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+reportSchema.index({ confession: 1 }); // 删除告解时清理
+
+// 待处理的举报状态
+reportSchema.statics.PENDING_STATES = ['open', 'escalated'];
+reportSchema.statics.REASONS = REPORT_REASONS;
+
+// 静态方法：是否已举报
+reportSchema.statics.hasReported = async function(reporterId, targetType, targetId) {
+    const report = await this.exists({ reporter: reporterId, targetType, target: targetId });
+    return !!report;
+};
+
+// 静态方法：获取某内容待处理的举报
+reportSchema.statics.findPendingFor = function(targetType, targetId) {
+    return this.find({
+        targetType,
+        target: targetId,
+        state: { $in: this.PENDING_STATES }
+    });
+};
+
+module.exports = mongoose.model('Report', reportSchema);
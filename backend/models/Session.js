@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, '用户ID不能为空']
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    previousRefreshTokenHash: {
+        type: String,
+        select: false // 上一个刷新令牌，用于检测令牌被盗用后的重放
+    },
+    userAgent: String,
+    ipAddress: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'user_revoked', 'password_changed', 'account_banned', 'token_reuse', null],
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// 虚拟字段：会话是否有效
+sessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// 索引
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousRefreshTokenHash: 1 }, { sparse: true });
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 }); // 用户的设备列表
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL索引
+
+const getRefreshTtl = () => (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// 实例方法：轮换刷新令牌，返回新的明文令牌
+sessionSchema.methods.rotate = async function(req) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    this.previousRefreshTokenHash = this.refreshTokenHash;
+    this.refreshTokenHash = hashToken(refreshToken);
+    this.lastUsedAt = new Date();
+    this.expiresAt = new Date(Date.now() + getRefreshTtl());
+    if (req) {
+        this.ipAddress = req.ip;
+        this.userAgent = req.get('User-Agent');
+    }
+
+    await this.save();
+    return refreshToken;
+};
+
+// 实例方法：撤销会话
+sessionSchema.methods.revoke = function(reason = 'logout') {
+    return this.updateOne({
+        $set: {
+            revokedAt: new Date(),
+            revokedReason: reason
+        }
+    });
+};
+
+// 静态方法：创建会话，返回会话和明文刷新令牌
+sessionSchema.statics.createForUser = async function(userId, req) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    const session = await this.create({
+        user: userId,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip,
+        expiresAt: new Date(Date.now() + getRefreshTtl())
+    });
+
+    return { session, refreshToken };
+};
+
+// 静态方法：根据刷新令牌查找会话
+// 若命中的是已轮换掉的旧令牌，视为令牌泄露并撤销整个会话
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await this.findOne({ refreshTokenHash: tokenHash })
+        .select('+refreshTokenHash +previousRefreshTokenHash');
+    if (session) {
+        return session;
+    }
+
+    const reused = await this.findOne({ previousRefreshTokenHash: tokenHash });
+    if (reused && !reused.revokedAt) {
+        await reused.revoke('token_reuse');
+    }
+
+    return null;
+};
+
+// 静态方法：撤销用户的全部会话
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+
+    return this.updateMany(query, {
+        $set: {
+            revokedAt: new Date(),
+            revokedReason: reason
+        }
+    });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
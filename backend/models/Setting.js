@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// 站点设置，按 key 保存，值结构由使用方定义
+const settingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, '设置项不能为空'],
+        trim: true
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+settingSchema.index({ key: 1 }, { unique: true });
+
+// 默认值，数据库中没有记录时使用
+const DEFAULTS = {
+    premoderation: {
+        mode: 'off', // off | all | untrusted | categories
+        minReputation: 20, // untrusted 模式：声望低于该值需审核
+        minAccountAgeDays: 3, // untrusted 模式：注册不满该天数需审核
+        categories: [] // categories 模式：这些分类的告解需审核
+    }
+};
+
+const CACHE_TTL = 30 * 1000;
+const cache = new Map();
+
+// 静态方法：读取设置（与默认值合并）
+settingSchema.statics.getValue = async function(key) {
+    const cached = cache.get(key);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL) {
+        return cached.value;
+    }
+
+    const setting = await this.findOne({ key });
+    const defaults = DEFAULTS[key];
+    let value = setting ? setting.value : defaults;
+    if (setting && defaults && typeof defaults === 'object') {
+        value = { ...defaults, ...setting.value };
+    }
+
+    cache.set(key, { value, loadedAt: Date.now() });
+    return value;
+};
+
+// 静态方法：保存设置，返回合并后的值
+settingSchema.statics.setValue = async function(key, value, userId) {
+    const current = await this.getValue(key);
+    const merged = current && typeof current === 'object' ? { ...current, ...value } : value;
+
+    await this.findOneAndUpdate(
+        { key },
+        { $set: { value: merged, updatedBy: userId } },
+        { upsert: true }
+    );
+    cache.delete(key);
+
+    return merged;
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
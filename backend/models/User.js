@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
@@ -31,9 +32,13 @@ const userSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['user', 'moderator', 'admin'],
+        enum: ['guest', 'user', 'moderator', 'admin'],
         default: 'user'
     },
+    guestDeviceHash: {
+        type: String,
+        select: false // 游客绑定的设备摘要
+    },
     status: {
         type: String,
         enum: ['active', 'suspended', 'banned'],
@@ -76,6 +81,11 @@ const userSchema = new mongoose.Schema({
             type: Boolean,
             default: true
         },
+        emailDigest: {
+            type: String,
+            enum: ['daily', 'weekly'],
+            default: 'daily' // 通知摘要邮件的发送频率
+        },
         publicProfile: {
             type: Boolean,
             default: true
@@ -90,6 +100,10 @@ const userSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    digestSentAt: {
+        type: Date,
+        default: null // 上次发送通知摘要的时间
+    },
     loginAttempts: {
         type: Number,
         default: 0
@@ -106,6 +120,10 @@ const userSchema = new mongoose.Schema({
         type: String,
         select: false
     },
+    emailVerificationExpires: {
+        type: Date,
+        select: false
+    },
     passwordResetToken: {
         type: String,
         select: false
@@ -113,6 +131,10 @@ const userSchema = new mongoose.Schema({
     passwordResetExpires: {
         type: Date,
         select: false
+    },
+    passwordChangedAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true,
@@ -125,11 +147,19 @@ userSchema.virtual('isLocked').get(function() {
     return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// 虚拟字段：是否为游客
+userSchema.virtual('isGuest').get(function() {
+    return this.role === 'guest';
+});
+
 // 索引
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ 'stats.reputation': -1 });
+userSchema.index({ guestDeviceHash: 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 // 密码加密中间件
 userSchema.pre('save', async function(next) {
@@ -145,6 +175,15 @@ userSchema.pre('save', async function(next) {
     }
 });
 
+// 记录密码修改时间，用于让旧令牌失效
+userSchema.pre('save', function(next) {
+    if (!this.isModified('password') || this.isNew) return next();
+    
+    // 提前1秒，避免紧接着签发的新令牌因时间精度被判定失效
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+    next();
+});
+
 // 更新统计信息中间件
 userSchema.pre('save', function(next) {
     if (this.isNew) {
@@ -158,19 +197,61 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// 实例方法：生成JWT令牌
-userSchema.methods.getSignedJwtToken = function() {
+// 实例方法：生成短期访问令牌（绑定会话，可通过撤销会话失效）
+userSchema.methods.getSignedJwtToken = function(sessionId) {
     return jwt.sign(
         { 
             id: this._id,
             username: this.username,
-            role: this.role 
+            role: this.role,
+            sid: sessionId
         },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE || '7d' }
+        { expiresIn: process.env.JWT_EXPIRE || '15m' }
     );
 };
 
+// 实例方法：生成游客JWT令牌（与设备绑定）
+userSchema.methods.getSignedGuestToken = function(deviceHash) {
+    return jwt.sign(
+        {
+            id: this._id,
+            type: 'guest',
+            device: deviceHash
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.GUEST_JWT_EXPIRE || '30d' }
+    );
+};
+
+// 实例方法：生成邮箱验证令牌（数据库只保存摘要，返回明文用于发送邮件）
+userSchema.methods.createEmailVerificationToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    
+    this.emailVerificationToken = this.constructor.hashToken(token);
+    this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24小时有效
+    
+    return token;
+};
+
+// 实例方法：生成密码重置令牌（单次有效，1小时后过期）
+userSchema.methods.createPasswordResetToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    
+    this.passwordResetToken = this.constructor.hashToken(token);
+    this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+    
+    return token;
+};
+
+// 实例方法：令牌签发后是否修改过密码
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+    if (!this.passwordChangedAt || !tokenIssuedAt) {
+        return false;
+    }
+    return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
 // 实例方法：增加登录失败次数
 userSchema.methods.incLoginAttempts = function() {
     // 如果之前有锁定且已过期，重置计数器
@@ -210,6 +291,11 @@ userSchema.methods.updateLastLogin = function() {
     });
 };
 
+// 静态方法：计算令牌摘要
+userSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
 // 静态方法：根据邮箱或用户名查找用户
 userSchema.statics.findByEmailOrUsername = function(identifier) {
     return this.findOne({
@@ -220,22 +306,141 @@ userSchema.statics.findByEmailOrUsername = function(identifier) {
     }).select('+password');
 };
 
+// 静态方法：获取或创建设备对应的游客账户
+userSchema.statics.findOrCreateGuest = async function(deviceHash) {
+    const existing = await this.findOne({ role: 'guest', guestDeviceHash: deviceHash });
+    if (existing) {
+        return existing;
+    }
+
+    // 游客没有可登录的凭据，用户名、邮箱和密码均为随机占位
+    const suffix = crypto.randomBytes(6).toString('hex');
+    return this.create({
+        username: `guest_${suffix}`,
+        email: `guest_${suffix}@guests.cyber-confessional.com`,
+        password: crypto.randomBytes(24).toString('hex'),
+        role: 'guest',
+        guestDeviceHash: deviceHash,
+        preferences: {
+            emailNotifications: false,
+            publicProfile: false
+        }
+    });
+};
+
+// 静态方法：将游客的告解、投票、评论合并到正式账户，并删除游客账户
+userSchema.statics.mergeGuest = async function(guestId, userId) {
+    const guest = await this.findOne({ _id: guestId, role: 'guest' });
+    if (!guest || guest._id.equals(userId)) {
+        return false;
+    }
+
+    const Confession = mongoose.model('Confession');
+    const Vote = mongoose.model('Vote');
+    const Comment = mongoose.model('Comment');
+    const CommentReaction = mongoose.model('CommentReaction');
+    const Notification = mongoose.model('Notification');
+    const PushSubscription = mongoose.model('PushSubscription');
+    const Report = mongoose.model('Report');
+    const Follow = mongoose.model('Follow');
+
+    // 投票：双方都投过的告解保留正式账户的投票
+    const votedConfessions = await Vote.find({ user: userId }).distinct('confession');
+    const conflictingVotes = await Vote.find({
+        user: guest._id,
+        confession: { $in: votedConfessions }
+    }).distinct('confession');
+    await Vote.deleteMany({ user: guest._id, confession: { $in: conflictingVotes } });
+    await Vote.updateMany({ user: guest._id }, { $set: { user: userId, guest: false } });
+
+    // 评论赞踩：同上
+    const reactedComments = await CommentReaction.find({ user: userId }).distinct('comment');
+    const conflictingReactions = await CommentReaction.find({
+        user: guest._id,
+        comment: { $in: reactedComments }
+    }).distinct('comment');
+    await CommentReaction.deleteMany({ user: guest._id, comment: { $in: conflictingReactions } });
+    await CommentReaction.updateMany({ user: guest._id }, { $set: { user: userId } });
+
+    // 举报：双方都举报过的内容保留正式账户的举报
+    const reportedTargets = await Report.find({ reporter: userId }).distinct('target');
+    await Report.deleteMany({ reporter: guest._id, target: { $in: reportedTargets } });
+    await Report.updateMany({ reporter: guest._id }, { $set: { reporter: userId } });
+
+    // 关注：已存在的关注关系和关注自己的记录直接删除
+    const [followingIds, followerIds] = await Promise.all([
+        Follow.find({ follower: userId }).distinct('following'),
+        Follow.find({ following: userId }).distinct('follower')
+    ]);
+    await Follow.deleteMany({
+        $or: [
+            { follower: guest._id, following: { $in: [...followingIds, userId] } },
+            { following: guest._id, follower: { $in: [...followerIds, userId] } }
+        ]
+    });
+    await Follow.updateMany({ follower: guest._id }, { $set: { follower: userId } });
+    await Follow.updateMany({ following: guest._id }, { $set: { following: userId } });
+
+    // 通知和推送订阅转移给正式账户
+    await Notification.updateMany({ recipient: guest._id }, { $set: { recipient: userId } });
+    await PushSubscription.updateMany({ user: guest._id }, { $set: { user: userId } });
+
+    // 评论与公开告解直接转移作者
+    await Comment.updateMany({ author: guest._id }, { $set: { author: userId } });
+    await Confession.updateMany({ author: guest._id }, { $set: { author: userId } });
+
+    // 发布者密钥需要用新账户重新生成
+    const ownedConfessions = await Confession.find(Confession.ownedByQuery(guest._id))
+        .select('+ownerKey +ownerSeal');
+    for (const confession of ownedConfessions) {
+        confession.setOwner(userId);
+        await confession.save();
+    }
+
+    // 重新统计因冲突而删除的投票和赞踩
+    const [affectedConfessions, affectedComments] = await Promise.all([
+        Confession.find({ _id: { $in: conflictingVotes } }),
+        Comment.find({ _id: { $in: conflictingReactions } })
+    ]);
+    await Promise.all([
+        ...affectedConfessions.map(confession => confession.updateVoteCount()),
+        ...affectedComments.map(comment => comment.updateReactionCount())
+    ]);
+
+    const stats = await this.getUserStats(userId);
+    await this.updateOne({ _id: userId }, {
+        $set: {
+            'stats.confessionsCount': stats.confessionsCount,
+            'stats.votesCount': stats.votesCount,
+            'stats.commentsCount': stats.commentsCount
+        }
+    });
+
+    await this.deleteOne({ _id: guest._id });
+
+    return true;
+};
+
 // 静态方法：获取用户统计信息
 userSchema.statics.getUserStats = async function(userId) {
     const Confession = mongoose.model('Confession');
     const Vote = mongoose.model('Vote');
     const Comment = mongoose.model('Comment');
+    const Follow = mongoose.model('Follow');
     
-    const [confessions, votes, comments] = await Promise.all([
+    const [confessions, votes, comments, followCounts] = await Promise.all([
         Confession.countDocuments({ author: userId }),
         Vote.countDocuments({ user: userId }),
-        Comment.countDocuments({ author: userId })
+        Comment.countDocuments({ author: userId }),
+        Follow.getCounts(userId)
     ]);
     
     return {
         confessionsCount: confessions,
         votesCount: votes,
-        commentsCount: comments
+        commentsCount: comments,
+        followersCount: followCounts.followersCount,
+        followingCount: followCounts.followingCount
     };
 };
 
@@ -16,6 +16,11 @@ const voteSchema = new mongoose.Schema({
         enum: ['heaven', 'hell'],
         required: [true, '投票类型不能为空']
     },
+    // 游客投票，用于限制同一网络的游客重复投票
+    guest: {
+        type: Boolean,
+        default: false
+    },
     metadata: {
         ipAddress: {
             type: String,
@@ -33,6 +38,12 @@ const voteSchema = new mongoose.Schema({
 // 复合索引：确保每个用户对每个告解只能投一票
 voteSchema.index({ user: 1, confession: 1 }, { unique: true });
 
+// 游客身份只绑定客户端提供的设备ID，可以随意更换；同一IP的游客对同一告解只能投一票
+voteSchema.index({ confession: 1, 'metadata.ipAddress': 1 }, {
+    unique: true,
+    partialFilterExpression: { guest: true }
+});
+
 // 其他索引
 voteSchema.index({ confession: 1, type: 1 }); // 按告解和类型查询
 voteSchema.index({ user: 1, createdAt: -1 }); // 用户投票历史
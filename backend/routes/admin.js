@@ -1,14 +1,110 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Confession = require('../models/Confession');
 const Vote = require('../models/Vote');
 const Comment = require('../models/Comment');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const Report = require('../models/Report');
+const ContentFilter = require('../models/ContentFilter');
+const Setting = require('../models/Setting');
+const Notification = require('../models/Notification');
 const { auth, authorize } = require('../middleware/auth');
 const asyncHandler = require('../middleware/asyncHandler');
+const { invalidateFilterCache } = require('../utils/contentFilter');
+const { notifyContentAuthor } = require('../utils/authorNotice');
+const { publish } = require('../utils/liveUpdates');
+const { findPage, isValidCursor, cursorMeta, encodeCursor, decodeCursor, afterCursor } = require('../utils/cursor');
 
 const router = express.Router();
 
+const moderatableModels = {
+    confession: Confession,
+    comment: Comment
+};
+
+// 待审核内容通过或被拒绝后通知作者
+const notifyModerationResult = async (targetType, target, status, reason) => {
+    if (!['approved', 'rejected'].includes(status)) {
+        return;
+    }
+
+    const approved = status === 'approved';
+    try {
+        await notifyContentAuthor(targetType, target, {
+            subject: approved ? '您的{label}已通过审核' : '您的{label}未通过审核',
+            text: approved
+                ? '您的{label}「{excerpt}」已通过审核，现已公开显示。'
+                : `您的{label}「{excerpt}」未通过审核。${reason ? `原因：${reason}` : ''}`
+        });
+    } catch (error) {
+        console.error('发送审核结果通知失败:', error.message);
+    }
+};
+
+// 对告解或评论应用审核结果并记录管理日志
+// 批量操作另外记录一条汇总日志，传入 audit: false 跳过单条日志
+const applyModeration = async (req, target, targetType, status, reason, { audit = true } = {}) => {
+    const previousStatus = target.status;
+    target.status = status;
+    target.moderation.moderatedBy = req.user.id;
+    target.moderation.moderatedAt = new Date();
+    target.moderation.moderationReason = reason;
+    target.moderation.autoHidden = false; // 人工审核后解除自动隐藏标记
+
+    await target.save();
+
+    // 评论状态变化后重新统计告解的评论数
+    if (targetType === 'comment' && previousStatus !== status) {
+        const confession = await Confession.findById(target.confession);
+        if (confession) {
+            await confession.updateCommentCount();
+        }
+    }
+
+    if (audit) {
+        await AuditLog.record(req, {
+            action: `${targetType}.moderate`,
+            targetType,
+            targetIds: target._id,
+            before: { status: previousStatus },
+            after: { status },
+            reason
+        });
+    }
+
+    if (previousStatus !== status) {
+        await Notification.notifyModeration(targetType, target, status, reason);
+    }
+
+    if (previousStatus === 'pending') {
+        await notifyModerationResult(targetType, target, status, reason);
+    }
+
+    // 审核通过的评论此时才通知告解发布者和被回复者
+    if (targetType === 'comment' && previousStatus === 'pending' && status === 'approved') {
+        const confession = await Confession.findById(target.confession);
+        if (confession) {
+            await target.populate('author', 'username');
+            await Notification.notifyNewComment(target, confession);
+        }
+    }
+
+    // 审核通过的告解推送到实时流
+    if (targetType === 'confession' && status === 'approved' && previousStatus !== 'approved') {
+        const publicConfession = await Confession.findById(target._id)
+            .populate('author', 'username avatar')
+            .select('-metadata -moderation');
+        publish('confession', {
+            confessionId: target._id.toString(),
+            confession: publicConfession
+        });
+    }
+
+    return target;
+};
+
 // 所有管理员路由都需要管理员权限
 router.use(auth);
 router.use(authorize('admin', 'moderator'));
@@ -82,6 +178,18 @@ router.get('/stats', asyncHandler(async (req, res) => {
 // @route   GET /api/admin/users
 // @access  Private (Admin/Moderator)
 router.get('/users', [
+    query('cursor')
+        .optional()
+        .custom(isValidCursor)
+        .withMessage('分页游标无效'),
+    query('sortBy')
+        .optional()
+        .isIn(['createdAt', 'lastLogin', 'username', 'stats.reputation'])
+        .withMessage('排序字段无效'),
+    query('sortOrder')
+        .optional()
+        .isIn(['asc', 'desc'])
+        .withMessage('排序方向无效'),
     query('page')
         .optional()
         .isInt({ min: 1 })
@@ -96,7 +204,7 @@ router.get('/users', [
         .withMessage('用户状态无效'),
     query('role')
         .optional()
-        .isIn(['user', 'moderator', 'admin'])
+        .isIn(['guest', 'user', 'moderator', 'admin'])
         .withMessage('用户角色无效'),
     query('search')
         .optional()
@@ -116,6 +224,7 @@ router.get('/users', [
     const {
         page = 1,
         limit = 20,
+        cursor,
         status,
         role,
         search,
@@ -123,7 +232,6 @@ router.get('/users', [
         sortOrder = 'desc'
     } = req.query;
 
-    const skip = (page - 1) * limit;
     let query = {};
 
     // 状态筛选
@@ -148,11 +256,11 @@ router.get('/users', [
     const sortOptions = {};
     sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
-    const users = await User.find(query)
-        .select('username email role status stats createdAt lastLogin loginAttempts lockUntil')
-        .sort(sortOptions)
-        .limit(parseInt(limit))
-        .skip(skip);
+    const { items: users, pagination } = await findPage(
+        filter => User.find(filter)
+            .select('username email role status stats createdAt lastLogin loginAttempts lockUntil'),
+        { filter: query, sort: sortOptions, limit, cursor, page }
+    );
 
     const total = await User.countDocuments(query);
 
@@ -161,11 +269,9 @@ router.get('/users', [
         data: {
             users,
             pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
+                ...pagination,
                 total,
-                pages: Math.ceil(total / limit),
-                hasMore: skip + users.length < total
+                pages: Math.ceil(total / limit)
             }
         }
     });
@@ -220,11 +326,24 @@ router.put('/users/:id/status', authorize('admin'), [
         });
     }
 
+    const previousStatus = user.status;
     user.status = status;
     await user.save();
 
+    // 封禁或停用时立即登出该用户的所有设备
+    if (status !== 'active') {
+        await Session.revokeAllForUser(user._id, 'account_banned');
+    }
+
     // 记录管理操作日志
-    console.log(`管理员 ${req.user.username} 将用户 ${user.username} 的状态更改为 ${status}，原因：${reason || '无'}`);
+    await AuditLog.record(req, {
+        action: 'user.status',
+        targetType: 'user',
+        targetIds: user._id,
+        before: { status: previousStatus },
+        after: { status },
+        reason
+    });
 
     res.json({
         success: true,
@@ -237,6 +356,18 @@ router.put('/users/:id/status', authorize('admin'), [
 // @route   GET /api/admin/confessions
 // @access  Private (Admin/Moderator)
 router.get('/confessions', [
+    query('cursor')
+        .optional()
+        .custom(isValidCursor)
+        .withMessage('分页游标无效'),
+    query('sortBy')
+        .optional()
+        .isIn(['createdAt', 'updatedAt', 'viewsCount', 'commentsCount', 'hotScore', 'votes.heaven', 'votes.hell', 'moderation.reportCount'])
+        .withMessage('排序字段无效'),
+    query('sortOrder')
+        .optional()
+        .isIn(['asc', 'desc'])
+        .withMessage('排序方向无效'),
     query('page')
         .optional()
         .isInt({ min: 1 })
@@ -252,7 +383,15 @@ router.get('/confessions', [
     query('reported')
         .optional()
         .isBoolean()
-        .withMessage('举报标识必须为布尔值')
+        .withMessage('举报标识必须为布尔值'),
+    query('autoHidden')
+        .optional()
+        .isBoolean()
+        .withMessage('自动隐藏标识必须为布尔值'),
+    query('pii')
+        .optional()
+        .isBoolean()
+        .withMessage('个人信息标识必须为布尔值')
 ], asyncHandler(async (req, res) => {
     // 验证输入
     const errors = validationResult(req);
@@ -267,13 +406,15 @@ router.get('/confessions', [
     const {
         page = 1,
         limit = 20,
+        cursor,
         status,
         reported,
+        autoHidden,
+        pii,
         sortBy = 'createdAt',
         sortOrder = 'desc'
     } = req.query;
 
-    const skip = (page - 1) * limit;
     let query = {};
 
     // 状态筛选
@@ -286,16 +427,26 @@ router.get('/confessions', [
         query['moderation.isReported'] = true;
     }
 
+    // 自动隐藏筛选
+    if (autoHidden === 'true') {
+        query['moderation.autoHidden'] = true;
+    }
+
+    // 检测到个人信息的内容
+    if (pii === 'true') {
+        query['moderation.piiDetections.0'] = { $exists: true };
+    }
+
     // 排序
     const sortOptions = {};
     sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
-    const confessions = await Confession.find(query)
-        .populate('author', 'username email')
-        .populate('moderation.moderatedBy', 'username')
-        .sort(sortOptions)
-        .limit(parseInt(limit))
-        .skip(skip);
+    const { items: confessions, pagination } = await findPage(
+        filter => Confession.find(filter)
+            .populate('author', 'username email')
+            .populate('moderation.moderatedBy', 'username'),
+        { filter: query, sort: sortOptions, limit, cursor, page }
+    );
 
     const total = await Confession.countDocuments(query);
 
@@ -304,11 +455,9 @@ router.get('/confessions', [
         data: {
             confessions,
             pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
+                ...pagination,
                 total,
-                pages: Math.ceil(total / limit),
-                hasMore: skip + confessions.length < total
+                pages: Math.ceil(total / limit)
             }
         }
     });
@@ -347,15 +496,7 @@ router.put('/confessions/:id/moderate', [
         });
     }
 
-    confession.status = status;
-    confession.moderation.moderatedBy = req.user.id;
-    confession.moderation.moderatedAt = new Date();
-    confession.moderation.moderationReason = reason;
-
-    await confession.save();
-
-    // 记录管理操作日志
-    console.log(`管理员 ${req.user.username} 审核告解 ${confessionId}，状态：${status}，原因：${reason || '无'}`);
+    await applyModeration(req, confession, 'confession', status, reason);
 
     res.json({
         success: true,
@@ -364,6 +505,35 @@ router.put('/confessions/:id/moderate', [
     });
 }));
 
+// @desc    获取告解修订记录
+// @route   GET /api/admin/confessions/:id/revisions
+// @access  Private (Admin/Moderator)
+router.get('/confessions/:id/revisions', asyncHandler(async (req, res) => {
+    const confession = await Confession.findById(req.params.id)
+        .select('title content tags editedAt revisions')
+        .populate('revisions.editedBy', 'username');
+
+    if (!confession) {
+        return res.status(404).json({
+            success: false,
+            error: '告解不存在'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            current: {
+                title: confession.title,
+                content: confession.content,
+                tags: confession.tags,
+                editedAt: confession.editedAt
+            },
+            revisions: [...confession.revisions].reverse() // 最近的修订在前
+        }
+    });
+}));
+
 // @desc    设置精选告解
 // @route   PUT /api/admin/confessions/:id/feature
 // @access  Private (Admin/Moderator)
@@ -393,6 +563,7 @@ router.put('/confessions/:id/feature', [
         });
     }
 
+    const previousFeatured = confession.featured;
     confession.featured = featured;
     if (featured) {
         confession.featuredAt = new Date();
@@ -400,6 +571,15 @@ router.put('/confessions/:id/feature', [
 
     await confession.save();
 
+    // 记录管理操作日志
+    await AuditLog.record(req, {
+        action: 'confession.feature',
+        targetType: 'confession',
+        targetIds: confession._id,
+        before: { featured: previousFeatured },
+        after: { featured }
+    });
+
     res.json({
         success: true,
         message: featured ? '已设为精选告解' : '已取消精选',
@@ -411,6 +591,18 @@ router.put('/confessions/:id/feature', [
 // @route   GET /api/admin/comments
 // @access  Private (Admin/Moderator)
 router.get('/comments', [
+    query('cursor')
+        .optional()
+        .custom(isValidCursor)
+        .withMessage('分页游标无效'),
+    query('sortBy')
+        .optional()
+        .isIn(['createdAt', 'likes', 'moderation.reportCount'])
+        .withMessage('排序字段无效'),
+    query('sortOrder')
+        .optional()
+        .isIn(['asc', 'desc'])
+        .withMessage('排序方向无效'),
     query('page')
         .optional()
         .isInt({ min: 1 })
@@ -426,7 +618,15 @@ router.get('/comments', [
     query('reported')
         .optional()
         .isBoolean()
-        .withMessage('举报标识必须为布尔值')
+        .withMessage('举报标识必须为布尔值'),
+    query('autoHidden')
+        .optional()
+        .isBoolean()
+        .withMessage('自动隐藏标识必须为布尔值'),
+    query('pii')
+        .optional()
+        .isBoolean()
+        .withMessage('个人信息标识必须为布尔值')
 ], asyncHandler(async (req, res) => {
     // 验证输入
     const errors = validationResult(req);
@@ -441,13 +641,15 @@ router.get('/comments', [
     const {
         page = 1,
         limit = 20,
+        cursor,
         status,
         reported,
+        autoHidden,
+        pii,
         sortBy = 'createdAt',
         sortOrder = 'desc'
     } = req.query;
 
-    const skip = (page - 1) * limit;
     let query = {};
 
     // 状态筛选
@@ -460,17 +662,31 @@ router.get('/comments', [
         query['moderation.isReported'] = true;
     }
 
-    // 排序
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // 自动隐藏筛选
+    if (autoHidden === 'true') {
+        query['moderation.autoHidden'] = true;
+    }
 
-    const comments = await Comment.find(query)
-        .populate('author', 'username email')
-        .populate('confession', 'title content')
-        .populate('moderation.moderatedBy', 'username')
-        .sort(sortOptions)
-        .limit(parseInt(limit))
-        .skip(skip);
+    // 检测到个人信息的内容
+    if (pii === 'true') {
+        query['moderation.piiDetections.0'] = { $exists: true };
+    }
+
+    // 排序（只看被举报的评论且未指定排序时，举报数多的在前）
+    let sortOptions = {};
+    if (reported === 'true' && !req.query.sortBy) {
+        sortOptions = { 'moderation.reportCount': -1, createdAt: -1 };
+    } else {
+        sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    }
+
+    const { items: comments, pagination } = await findPage(
+        filter => Comment.find(filter)
+            .populate('author', 'username email')
+            .populate('confession', 'title content')
+            .populate('moderation.moderatedBy', 'username'),
+        { filter: query, sort: sortOptions, limit, cursor, page }
+    );
 
     const total = await Comment.countDocuments(query);
 
@@ -479,11 +695,9 @@ router.get('/comments', [
         data: {
             comments,
             pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
+                ...pagination,
                 total,
-                pages: Math.ceil(total / limit),
-                hasMore: skip + comments.length < total
+                pages: Math.ceil(total / limit)
             }
         }
     });
@@ -522,20 +736,610 @@ router.put('/comments/:id/moderate', [
         });
     }
 
-    comment.status = status;
-    comment.moderation.moderatedBy = req.user.id;
-    comment.moderation.moderatedAt = new Date();
-    comment.moderation.moderationReason = reason;
+    await applyModeration(req, comment, 'comment', status, reason);
+
+    res.json({
+        success: true,
+        message: '评论审核完成',
+        data: { comment }
+    });
+}));
+
+// @desc    获取举报队列（按被举报内容分组，举报数多的在前）
+// @route   GET /api/admin/reports
+// @access  Private (Admin/Moderator)
+router.get('/reports', [
+    query('cursor')
+        .optional()
+        .custom(isValidCursor)
+        .withMessage('分页游标无效'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('页码必须是正整数'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('每页数量必须在1-100之间'),
+    query('state')
+        .optional()
+        .isIn(['pending', 'open', 'escalated', 'resolved', 'dismissed'])
+        .withMessage('举报状态无效'),
+    query('targetType')
+        .optional()
+        .isIn(['confession', 'comment'])
+        .withMessage('举报对象类型无效')
+], asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const {
+        page = 1,
+        limit = 20,
+        cursor,
+        state = 'pending',
+        targetType
+    } = req.query;
+
+    const pageSize = parseInt(limit);
+    const match = {
+        state: state === 'pending' ? { $in: Report.PENDING_STATES } : state
+    };
+
+    if (targetType) {
+        match.targetType = targetType;
+    }
+
+    // 分组结果按举报数、最近举报时间排序，被举报内容的 ID 保证顺序唯一
+    const order = { count: -1, lastReportedAt: -1, '_id.target': -1 };
+    const meta = cursorMeta(order, match);
+    let pageStages = [{ $skip: (page - 1) * pageSize }];
+    if (cursor) {
+        const { values } = decodeCursor(cursor, order, meta);
+        pageStages = [{ $match: afterCursor(order, values) }];
+    }
+
+    const [result] = await Report.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { targetType: '$targetType', target: '$target' },
+                count: { $sum: 1 },
+                reasons: { $push: '$reason' },
+                states: { $addToSet: '$state' },
+                firstReportedAt: { $min: '$createdAt' },
+                lastReportedAt: { $max: '$createdAt' }
+            }
+        },
+        { $sort: order },
+        {
+            $facet: {
+                // 多取一条用于判断是否还有下一页
+                groups: [...pageStages, { $limit: pageSize + 1 }],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    const hasMore = result.groups.length > pageSize;
+    const groups = hasMore ? result.groups.slice(0, pageSize) : result.groups;
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    // 取出被举报的内容
+    const idsOf = type => groups.filter(group => group._id.targetType === type).map(group => group._id.target);
+    const [confessions, comments] = await Promise.all([
+        Confession.find({ _id: { $in: idsOf('confession') } })
+            .select('title content status moderation createdAt'),
+        Comment.find({ _id: { $in: idsOf('comment') } })
+            .select('content status confession moderation createdAt')
+    ]);
+
+    const targets = {};
+    [...confessions, ...comments].forEach(doc => {
+        targets[doc._id.toString()] = doc;
+    });
 
-    await comment.save();
+    const reports = groups.map(group => {
+        const reasons = {};
+        group.reasons.forEach(reason => {
+            reasons[reason] = (reasons[reason] || 0) + 1;
+        });
+
+        return {
+            targetType: group._id.targetType,
+            targetId: group._id.target,
+            target: targets[group._id.target.toString()] || null,
+            count: group.count,
+            reasons,
+            escalated: group.states.includes('escalated'),
+            firstReportedAt: group.firstReportedAt,
+            lastReportedAt: group.lastReportedAt
+        };
+    });
+
+    res.json({
+        success: true,
+        data: {
+            reports,
+            pagination: {
+                page: cursor ? null : parseInt(page),
+                limit: pageSize,
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(groups[groups.length - 1], order, meta) : null,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        }
+    });
+}));
+
+const reportTargetValidation = [
+    param('targetType')
+        .isIn(['confession', 'comment'])
+        .withMessage('举报对象类型无效'),
+    param('targetId')
+        .isMongoId()
+        .withMessage('举报对象ID无效')
+];
+
+// @desc    获取某内容的全部举报记录
+// @route   GET /api/admin/reports/:targetType/:targetId
+// @access  Private (Admin/Moderator)
+router.get('/reports/:targetType/:targetId', reportTargetValidation, asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const { targetType, targetId } = req.params;
+
+    const reports = await Report.find({ targetType, target: targetId })
+        .populate('reporter', 'username stats.reputation')
+        .populate('handledBy', 'username')
+        .sort({ createdAt: -1 });
+
+    res.json({
+        success: true,
+        data: { reports }
+    });
+}));
+
+// @desc    处理举报：解决、驳回或升级，可同时审核被举报内容
+// @route   PUT /api/admin/reports/:targetType/:targetId
+// @access  Private (Admin/Moderator)
+router.put('/reports/:targetType/:targetId', [
+    ...reportTargetValidation,
+    body('action')
+        .isIn(['resolve', 'dismiss', 'escalate'])
+        .withMessage('处理方式无效'),
+    body('status')
+        .optional()
+        .isIn(['approved', 'rejected', 'hidden'])
+        .withMessage('审核状态无效'),
+    body('note')
+        .optional()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('处理备注长度必须在1-200个字符之间')
+], asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const { targetType, targetId } = req.params;
+    const { action, status, note } = req.body;
+
+    if (action === 'dismiss' && status) {
+        return res.status(400).json({
+            success: false,
+            error: '驳回举报时不能同时审核内容'
+        });
+    }
+
+    const reports = await Report.findPendingFor(targetType, targetId);
+    if (reports.length === 0) {
+        return res.status(404).json({
+            success: false,
+            error: '没有待处理的举报'
+        });
+    }
+
+    // 已升级的举报只能由管理员结案
+    const isEscalated = reports.some(report => report.state === 'escalated');
+    if (isEscalated && action !== 'escalate' && req.user.role !== 'admin') {
+        return res.status(403).json({
+            success: false,
+            error: '已升级的举报需由管理员处理'
+        });
+    }
+
+    const target = await moderatableModels[targetType].findById(targetId);
+    if (status && !target) {
+        return res.status(404).json({
+            success: false,
+            error: targetType === 'confession' ? '告解不存在' : '评论不存在'
+        });
+    }
+
+    const newState = {
+        resolve: 'resolved',
+        dismiss: 'dismissed',
+        escalate: 'escalated'
+    }[action];
+    const reportIds = reports.map(report => report._id);
+
+    await Report.updateMany(
+        { _id: { $in: reportIds } },
+        {
+            $set: {
+                state: newState,
+                handledBy: req.user.id,
+                handledAt: new Date(),
+                resolutionNote: note
+            }
+        }
+    );
+
+    // 举报结案后从待处理列表中移除
+    if (target && action !== 'escalate') {
+        target.moderation.isReported = false;
+    }
+
+    // 驳回举报时恢复被自动隐藏的内容
+    if (action === 'dismiss' && target && target.moderation.autoHidden) {
+        await applyModeration(req, target, targetType, 'approved', note);
+    } else if (status) {
+        await applyModeration(req, target, targetType, status, note);
+    } else if (target) {
+        await target.save();
+    }
 
     // 记录管理操作日志
-    console.log(`管理员 ${req.user.username} 审核评论 ${commentId}，状态：${status}，原因：${reason || '无'}`);
+    await AuditLog.record(req, {
+        action: `report.${action}`,
+        targetType: 'report',
+        targetIds: reportIds,
+        before: { states: [...new Set(reports.map(report => report.state))] },
+        after: {
+            state: newState,
+            targetType,
+            target: targetId,
+            status: status || null
+        },
+        reason: note
+    });
 
     res.json({
         success: true,
-        message: '评论审核完成',
-        data: { comment }
+        message: '举报处理完成',
+        data: {
+            handled: reportIds.length,
+            state: newState,
+            target
+        }
+    });
+}));
+
+// 内容过滤规则验证
+const filterValidation = (isUpdate) => {
+    const field = (name) => (isUpdate ? body(name).optional() : body(name));
+    return [
+        field('pattern')
+            .isLength({ min: 1, max: 200 })
+            .withMessage('过滤规则长度必须在1-200个字符之间'),
+        body('type')
+            .optional()
+            .isIn(['keyword', 'regex'])
+            .withMessage('规则类型无效'),
+        field('action')
+            .isIn(['reject', 'mask', 'pending'])
+            .withMessage('处理方式无效'),
+        body('appliesTo')
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('适用范围不能为空'),
+        body('appliesTo.*')
+            .optional()
+            .isIn(['confession', 'comment'])
+            .withMessage('适用范围无效'),
+        body('enabled')
+            .optional()
+            .isBoolean()
+            .withMessage('启用标识必须为布尔值'),
+        body('note')
+            .optional()
+            .isLength({ max: 200 })
+            .withMessage('备注不能超过200个字符')
+    ];
+};
+
+const filterFields = ['pattern', 'type', 'action', 'appliesTo', 'enabled', 'note'];
+
+// 正则规则会在每次发布内容时执行，只允许管理员创建或修改其表达式
+const regexForbidden = (req, currentType) => {
+    const type = req.body.type || currentType;
+    const changesPattern = req.body.pattern !== undefined || req.body.type !== undefined;
+    return type === 'regex' && changesPattern && req.user.role !== 'admin';
+};
+
+// @desc    获取内容过滤规则
+// @route   GET /api/admin/filters
+// @access  Private (Admin/Moderator)
+router.get('/filters', [
+    query('action')
+        .optional()
+        .isIn(['reject', 'mask', 'pending'])
+        .withMessage('处理方式无效'),
+    query('enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('启用标识必须为布尔值')
+], asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const { action, enabled } = req.query;
+    let query = {};
+
+    if (action) {
+        query.action = action;
+    }
+
+    if (enabled !== undefined) {
+        query.enabled = enabled === 'true';
+    }
+
+    const filters = await ContentFilter.find(query)
+        .populate('createdBy', 'username')
+        .populate('updatedBy', 'username')
+        .sort({ createdAt: -1 });
+
+    res.json({
+        success: true,
+        data: { filters }
+    });
+}));
+
+// @desc    创建内容过滤规则
+// @route   POST /api/admin/filters
+// @access  Private (Admin/Moderator)
+router.post('/filters', filterValidation(false), asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    if (regexForbidden(req, 'keyword')) {
+        return res.status(403).json({
+            success: false,
+            error: '只有管理员可以设置正则过滤规则'
+        });
+    }
+
+    const data = {};
+    filterFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+            data[field] = req.body[field];
+        }
+    });
+
+    const filter = await ContentFilter.create({
+        ...data,
+        createdBy: req.user.id,
+        updatedBy: req.user.id
+    });
+    invalidateFilterCache();
+
+    // 记录管理操作日志
+    await AuditLog.record(req, {
+        action: 'filter.create',
+        targetType: 'filter',
+        targetIds: filter._id,
+        after: data
+    });
+
+    res.status(201).json({
+        success: true,
+        message: '过滤规则已创建',
+        data: { filter }
+    });
+}));
+
+// @desc    更新内容过滤规则
+// @route   PUT /api/admin/filters/:id
+// @access  Private (Admin/Moderator)
+router.put('/filters/:id', filterValidation(true), asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const filter = await ContentFilter.findById(req.params.id);
+    if (!filter) {
+        return res.status(404).json({
+            success: false,
+            error: '过滤规则不存在'
+        });
+    }
+
+    if (regexForbidden(req, filter.type)) {
+        return res.status(403).json({
+            success: false,
+            error: '只有管理员可以设置正则过滤规则'
+        });
+    }
+
+    const before = {};
+    const after = {};
+    filterFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+            before[field] = filter[field];
+            after[field] = req.body[field];
+            filter[field] = req.body[field];
+        }
+    });
+    filter.updatedBy = req.user.id;
+
+    await filter.save();
+    invalidateFilterCache();
+
+    // 记录管理操作日志
+    await AuditLog.record(req, {
+        action: 'filter.update',
+        targetType: 'filter',
+        targetIds: filter._id,
+        before,
+        after
+    });
+
+    res.json({
+        success: true,
+        message: '过滤规则已更新',
+        data: { filter }
+    });
+}));
+
+// @desc    删除内容过滤规则
+// @route   DELETE /api/admin/filters/:id
+// @access  Private (Admin/Moderator)
+router.delete('/filters/:id', asyncHandler(async (req, res) => {
+    const filter = await ContentFilter.findById(req.params.id);
+    if (!filter) {
+        return res.status(404).json({
+            success: false,
+            error: '过滤规则不存在'
+        });
+    }
+
+    await filter.deleteOne();
+    invalidateFilterCache();
+
+    // 记录管理操作日志
+    await AuditLog.record(req, {
+        action: 'filter.delete',
+        targetType: 'filter',
+        targetIds: filter._id,
+        before: {
+            pattern: filter.pattern,
+            type: filter.type,
+            action: filter.action
+        },
+        after: { deleted: true }
+    });
+
+    res.json({
+        success: true,
+        message: '过滤规则已删除'
+    });
+}));
+
+// @desc    获取站点设置
+// @route   GET /api/admin/settings
+// @access  Private (Admin/Moderator)
+router.get('/settings', asyncHandler(async (req, res) => {
+    const premoderation = await Setting.getValue('premoderation');
+
+    res.json({
+        success: true,
+        data: {
+            settings: { premoderation }
+        }
+    });
+}));
+
+// @desc    修改先审后发设置
+// @route   PUT /api/admin/settings/premoderation
+// @access  Private (Admin)
+router.put('/settings/premoderation', authorize('admin'), [
+    body('mode')
+        .optional()
+        .isIn(['off', 'all', 'untrusted', 'categories'])
+        .withMessage('审核模式无效'),
+    body('minReputation')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('声望门槛必须是非负整数')
+        .toInt(),
+    body('minAccountAgeDays')
+        .optional()
+        .isInt({ min: 0, max: 365 })
+        .withMessage('注册天数门槛必须在0-365之间')
+        .toInt(),
+    body('categories')
+        .optional()
+        .isArray()
+        .withMessage('分类必须是数组'),
+    body('categories.*')
+        .optional()
+        .isIn(['personal', 'work', 'relationship', 'family', 'moral', 'other'])
+        .withMessage('无效的分类')
+], asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const changes = {};
+    ['mode', 'minReputation', 'minAccountAgeDays', 'categories'].forEach(field => {
+        if (req.body[field] !== undefined) {
+            changes[field] = req.body[field];
+        }
+    });
+
+    const before = await Setting.getValue('premoderation');
+    const premoderation = await Setting.setValue('premoderation', changes, req.user.id);
+
+    // 记录管理操作日志
+    await AuditLog.record(req, {
+        action: 'setting.premoderation',
+        targetType: 'setting',
+        before,
+        after: premoderation
+    });
+
+    res.json({
+        success: true,
+        message: '先审后发设置已更新',
+        data: { premoderation }
     });
 }));
 
@@ -582,6 +1386,13 @@ router.post('/batch', authorize('admin'), [
             break;
     }
 
+    // 操作前的状态，用于管理日志
+    const previous = await Model.find({ _id: { $in: ids } }).select('status');
+    const previousStatuses = {};
+    previous.forEach(doc => {
+        previousStatuses[doc._id.toString()] = doc.status;
+    });
+
     let updateData = {};
     switch (action) {
         case 'delete':
@@ -599,20 +1410,30 @@ router.post('/batch', authorize('admin'), [
     }
 
     if (action !== 'delete') {
-        if (type !== 'users') {
-            updateData['moderation.moderatedBy'] = req.user.id;
-            updateData['moderation.moderatedAt'] = new Date();
-            updateData['moderation.moderationReason'] = reason;
+        if (type === 'users') {
+            await Model.updateMany(
+                { _id: { $in: ids } },
+                { $set: updateData }
+            );
+        } else {
+            // 逐条走单条审核的流程：重新统计评论数、推送审核通过的告解、通知作者
+            const targetType = type.slice(0, -1);
+            const targets = await Model.find({ _id: { $in: ids } });
+            for (const target of targets) {
+                await applyModeration(req, target, targetType, updateData.status, reason, { audit: false });
+            }
         }
-
-        await Model.updateMany(
-            { _id: { $in: ids } },
-            { $set: updateData }
-        );
     }
 
     // 记录管理操作日志
-    console.log(`管理员 ${req.user.username} 批量${action} ${type}，数量：${ids.length}，原因：${reason || '无'}`);
+    await AuditLog.record(req, {
+        action: `batch.${action}`,
+        targetType: type.slice(0, -1), // confessions -> confession
+        targetIds: previous.map(doc => doc._id),
+        before: { statuses: previousStatuses },
+        after: action === 'delete' ? { deleted: true } : { status: updateData.status },
+        reason
+    });
 
     res.json({
         success: true,
@@ -620,10 +1441,14 @@ router.post('/batch', authorize('admin'), [
     });
 }));
 
-// @desc    获取系统日志
+// @desc    获取管理操作日志
 // @route   GET /api/admin/logs
 // @access  Private (Admin)
 router.get('/logs', authorize('admin'), [
+    query('cursor')
+        .optional()
+        .custom(isValidCursor)
+        .withMessage('分页游标无效'),
     query('page')
         .optional()
         .isInt({ min: 1 })
@@ -631,21 +1456,94 @@ router.get('/logs', authorize('admin'), [
     query('limit')
         .optional()
         .isInt({ min: 1, max: 100 })
-        .withMessage('每页数量必须在1-100之间')
+        .withMessage('每页数量必须在1-100之间'),
+    query('actor')
+        .optional()
+        .isMongoId()
+        .withMessage('操作者ID无效'),
+    query('action')
+        .optional()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('操作类型无效'),
+    query('targetType')
+        .optional()
+        .isIn(['user', 'confession', 'comment', 'report', 'filter', 'setting'])
+        .withMessage('操作对象类型无效'),
+    query('targetId')
+        .optional()
+        .isMongoId()
+        .withMessage('操作对象ID无效'),
+    query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('开始时间格式无效'),
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('结束时间格式无效')
 ], asyncHandler(async (req, res) => {
-    // 这里应该实现日志系统
-    // 由于当前没有日志模型，返回示例数据
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const {
+        page = 1,
+        limit = 20,
+        cursor,
+        actor,
+        action,
+        targetType,
+        targetId,
+        from,
+        to
+    } = req.query;
+
+    let query = {};
+
+    if (actor) {
+        query.actor = actor;
+    }
+
+    if (action) {
+        query.action = action;
+    }
+
+    if (targetType) {
+        query.targetType = targetType;
+    }
+
+    if (targetId) {
+        query.targetIds = targetId;
+    }
+
+    // 时间范围筛选
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const { items: logs, pagination } = await findPage(
+        filter => AuditLog.find(filter).populate('actor', 'username role'),
+        { filter: query, sort: { createdAt: -1 }, limit, cursor, page }
+    );
+
+    const total = await AuditLog.countDocuments(query);
+
     res.json({
         success: true,
-        message: '日志系统待实现',
         data: {
-            logs: [],
+            logs,
             pagination: {
-                page: 1,
-                limit: 20,
-                total: 0,
-                pages: 0,
-                hasMore: false
+                ...pagination,
+                total,
+                pages: Math.ceil(total / limit)
             }
         }
     });
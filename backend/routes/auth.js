@@ -4,8 +4,12 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
+const Session = require('../models/Session');
+const Follow = require('../models/Follow');
+const { auth, hashDeviceId, decodeGuestToken } = require('../middleware/auth');
 const asyncHandler = require('../middleware/asyncHandler');
+const { sendMail, escapeHtml } = require('../utils/mailer');
+const { verifyUnsubscribeToken } = require('../utils/unsubscribe');
 
 const router = express.Router();
 
@@ -31,6 +35,101 @@ const registerLimiter = rateLimit({
     }
 });
 
+// 游客令牌速率限制
+const guestLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1小时
+    max: 5, // 每个IP最多5次
+    message: {
+        error: '获取游客身份过于频繁，请1小时后再试',
+        code: 'GUEST_RATE_LIMIT'
+    }
+});
+
+// 验证邮件发送速率限制
+const verificationEmailLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1小时
+    max: 3, // 最多3封
+    message: {
+        error: '验证邮件发送过于频繁，请1小时后再试',
+        code: 'VERIFICATION_EMAIL_RATE_LIMIT'
+    }
+});
+
+// 找回密码速率限制
+const forgotPasswordLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1小时
+    max: 5, // 最多5次
+    message: {
+        error: '找回密码请求过于频繁，请1小时后再试',
+        code: 'FORGOT_PASSWORD_RATE_LIMIT'
+    }
+});
+
+// 创建登录会话并签发访问令牌和刷新令牌
+const issueTokens = async (user, req) => {
+    const { session, refreshToken } = await Session.createForUser(user._id, req);
+    return {
+        token: user.getSignedJwtToken(session._id),
+        refreshToken
+    };
+};
+
+// 邮件链接的基础地址只取自配置，不能使用请求的 Host 头，否则攻击者可以把令牌链接指向自己的域名
+const getAppUrl = () => {
+    if (!process.env.APP_URL && process.env.NODE_ENV === 'production') {
+        throw new Error('生产环境未配置 APP_URL');
+    }
+    return (process.env.APP_URL || 'http://localhost:5000').replace(/\/$/, '');
+};
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL ? process.env.FRONTEND_URL.replace(/\/$/, '') : getAppUrl());
+
+// 生成验证令牌并发送验证邮件
+const sendVerificationEmail = async (user) => {
+    const token = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    const verifyUrl = `${getAppUrl()}/api/auth/verify-email/${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: '赛博告解室 - 请验证您的邮箱',
+        text: `${user.username}，您好：\n\n请在24小时内打开以下链接完成邮箱验证：\n${verifyUrl}\n\n如果这不是您本人的操作，请忽略此邮件。`,
+        html: `<p>${escapeHtml(user.username)}，您好：</p><p>请在24小时内点击以下链接完成邮箱验证：</p><p><a href="${verifyUrl}">${verifyUrl}</a></p><p>如果这不是您本人的操作，请忽略此邮件。</p>`
+    });
+};
+
+// 生成重置令牌并发送重置密码邮件
+const sendPasswordResetEmail = async (user) => {
+    const token = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    // 前端首页读取 resetToken 参数后显示设置新密码的表单
+    const resetUrl = `${getFrontendUrl()}/?resetToken=${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: '赛博告解室 - 重置密码',
+        text: `${user.username}，您好：\n\n我们收到了重置您账户密码的请求。请在1小时内打开以下链接设置新密码：\n${resetUrl}\n\n如果这不是您本人的操作，请忽略此邮件，您的密码不会改变。`,
+        html: `<p>${escapeHtml(user.username)}，您好：</p><p>我们收到了重置您账户密码的请求。请在1小时内点击以下链接设置新密码：</p><p><a href="${resetUrl}">${resetUrl}</a></p><p>如果这不是您本人的操作，请忽略此邮件，您的密码不会改变。</p>`
+    });
+};
+
+// 注册/登录时若携带游客令牌，将游客数据合并到正式账户
+const mergeGuestActivity = async (req, userId) => {
+    const { guestToken } = req.body;
+    if (!guestToken) {
+        return false;
+    }
+
+    const guestId = decodeGuestToken(guestToken, req);
+    if (!guestId) {
+        return false;
+    }
+
+    return User.mergeGuest(guestId, userId);
+};
+
 // 注册验证规则
 const registerValidation = [
     body('username')
@@ -66,6 +165,50 @@ const loginValidation = [
         .withMessage('请输入密码')
 ];
 
+// @desc    获取游客令牌（无需注册即可告解、投票和评论）
+// @route   POST /api/auth/guest
+// @access  Public
+router.post('/guest', guestLimiter, [
+    body('deviceId')
+        .isLength({ min: 16, max: 128 })
+        .withMessage('设备标识无效')
+], asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const deviceHash = hashDeviceId(req.body.deviceId);
+    const guest = await User.findOrCreateGuest(deviceHash);
+
+    if (guest.status !== 'active') {
+        return res.status(403).json({
+            success: false,
+            error: '该设备已被禁止使用游客身份'
+        });
+    }
+
+    const token = guest.getSignedGuestToken(deviceHash);
+
+    res.status(201).json({
+        success: true,
+        message: '已进入游客模式',
+        data: {
+            token,
+            user: {
+                id: guest._id,
+                username: guest.username,
+                role: guest.role
+            }
+        }
+    });
+}));
+
 // @desc    用户注册
 // @route   POST /api/auth/register
 // @access  Public
@@ -108,8 +251,18 @@ router.post('/register', registerLimiter, registerValidation, asyncHandler(async
         }
     });
 
-    // 生成JWT令牌
-    const token = user.getSignedJwtToken();
+    // 合并游客期间的数据
+    const guestMerged = await mergeGuestActivity(req, user._id);
+
+    // 发送验证邮件（失败不影响注册）
+    try {
+        await sendVerificationEmail(user);
+    } catch (error) {
+        console.error('发送验证邮件失败:', error.message);
+    }
+
+    // 创建会话并生成令牌
+    const { token, refreshToken } = await issueTokens(user, req);
 
     // 更新最后登录时间
     await user.updateLastLogin();
@@ -119,6 +272,8 @@ router.post('/register', registerLimiter, registerValidation, asyncHandler(async
         message: '注册成功',
         data: {
             token,
+            refreshToken,
+            guestMerged,
             user: {
                 id: user._id,
                 username: user.username,
@@ -150,7 +305,8 @@ router.post('/login', loginLimiter, loginValidation, asyncHandler(async (req, re
     // 查找用户
     const user = await User.findByEmailOrUsername(identifier);
 
-    if (!user) {
+    // 游客账户没有可用的登录凭据
+    if (!user || user.isGuest) {
         return res.status(401).json({
             success: false,
             error: '用户名或密码错误'
@@ -194,14 +350,19 @@ router.post('/login', loginLimiter, loginValidation, asyncHandler(async (req, re
     // 更新最后登录时间
     await user.updateLastLogin();
 
-    // 生成JWT令牌
-    const token = user.getSignedJwtToken();
+    // 合并游客期间的数据
+    const guestMerged = await mergeGuestActivity(req, user._id);
+
+    // 创建会话并生成令牌
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.json({
         success: true,
         message: '登录成功',
         data: {
             token,
+            refreshToken,
+            guestMerged,
             user: {
                 id: user._id,
                 username: user.username,
@@ -220,7 +381,7 @@ router.post('/login', loginLimiter, loginValidation, asyncHandler(async (req, re
 // @access  Private
 router.get('/me', auth, asyncHandler(async (req, res) => {
     const user = await User.findById(req.user.id)
-        .select('-password -emailVerificationToken -passwordResetToken -passwordResetExpires');
+        .select('-password -emailVerificationToken -emailVerificationExpires -passwordResetToken -passwordResetExpires');
 
     res.json({
         success: true,
@@ -254,7 +415,15 @@ router.put('/profile', auth, [
     body('profile.website')
         .optional()
         .isURL()
-        .withMessage('请输入有效的网址')
+        .withMessage('请输入有效的网址'),
+    body('preferences.emailNotifications')
+        .optional()
+        .isBoolean()
+        .withMessage('邮件通知设置必须为布尔值'),
+    body('preferences.emailDigest')
+        .optional()
+        .isIn(['daily', 'weekly'])
+        .withMessage('摘要频率只能是 daily 或 weekly')
 ], asyncHandler(async (req, res) => {
     // 验证输入
     const errors = validationResult(req);
@@ -308,7 +477,16 @@ router.put('/profile', auth, [
         req.user.id,
         updateData,
         { new: true, runValidators: true }
-    ).select('-password -emailVerificationToken -passwordResetToken -passwordResetExpires');
+    ).select('-password -emailVerificationToken -emailVerificationExpires -passwordResetToken -passwordResetExpires');
+
+    // 邮箱变更后向新邮箱发送验证邮件
+    if (updateData.email) {
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            console.error('发送验证邮件失败:', error.message);
+        }
+    }
 
     res.json({
         success: true,
@@ -317,6 +495,121 @@ router.put('/profile', auth, [
     });
 }));
 
+// @desc    发送（或重新发送）邮箱验证邮件
+// @route   POST /api/auth/verify-email/send
+// @access  Private
+router.post('/verify-email/send', auth, verificationEmailLimiter, asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+        return res.status(400).json({
+            success: false,
+            error: '邮箱已验证'
+        });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+        success: true,
+        message: '验证邮件已发送，请查收'
+    });
+}));
+
+// @desc    验证邮箱
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+router.get('/verify-email/:token', asyncHandler(async (req, res) => {
+    const user = await User.findOne({
+        emailVerificationToken: User.hashToken(req.params.token),
+        emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+        return res.status(400).json({
+            success: false,
+            error: '验证链接无效或已过期'
+        });
+    }
+
+    await user.updateOne({
+        $set: { emailVerified: true },
+        $unset: {
+            emailVerificationToken: 1,
+            emailVerificationExpires: 1
+        }
+    });
+
+    res.json({
+        success: true,
+        message: '邮箱验证成功'
+    });
+}));
+
+// 退订页面（邮件中的链接在浏览器中打开）
+const renderUnsubscribePage = (title, content) => `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title} - 赛博告解室</title>
+</head>
+<body>
+<h1>${title}</h1>
+${content}
+</body>
+</html>`;
+
+const findUnsubscribeUser = (token) => {
+    const userId = verifyUnsubscribeToken(token);
+    return userId ? User.findById(userId) : null;
+};
+
+// @desc    退订确认页面（邮件中的链接）
+// @route   GET /api/auth/unsubscribe/:token
+// @access  Public
+// 邮件服务商的链接扫描会自动访问 GET 链接，这里只显示确认按钮，退订由 POST 完成（RFC 8058）
+router.get('/unsubscribe/:token', asyncHandler(async (req, res) => {
+    const user = await findUnsubscribeUser(req.params.token);
+
+    if (!user) {
+        return res.status(400).send(renderUnsubscribePage('退订链接无效', '<p>链接可能已损坏，请在个人设置中关闭通知邮件。</p>'));
+    }
+
+    res.send(renderUnsubscribePage('退订通知邮件', `<p>退订后您将不再收到赛博告解室的通知邮件，可在个人设置中重新开启。</p>
+<form method="post"><button type="submit">确认退订</button></form>`));
+}));
+
+// @desc    退订通知邮件（确认页面提交或邮件客户端按 List-Unsubscribe-Post 一键退订）
+// @route   POST /api/auth/unsubscribe/:token
+// @access  Public
+// 退订后关闭全部通知邮件，可在个人设置中重新开启
+router.post('/unsubscribe/:token', asyncHandler(async (req, res) => {
+    const user = await findUnsubscribeUser(req.params.token);
+    // 浏览器提交确认页面时返回页面，邮件客户端和接口调用返回JSON
+    const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+    if (!user) {
+        if (wantsHtml) {
+            return res.status(400).send(renderUnsubscribePage('退订链接无效', '<p>链接可能已损坏，请在个人设置中关闭通知邮件。</p>'));
+        }
+        return res.status(400).json({
+            success: false,
+            error: '退订链接无效'
+        });
+    }
+
+    await user.updateOne({ $set: { 'preferences.emailNotifications': false } });
+
+    if (wantsHtml) {
+        return res.send(renderUnsubscribePage('已退订通知邮件', '<p>您将不再收到赛博告解室的通知邮件。</p>'));
+    }
+    res.json({
+        success: true,
+        message: '已退订通知邮件'
+    });
+}));
+
 // @desc    修改密码
 // @route   PUT /api/auth/password
 // @access  Private
@@ -361,13 +654,108 @@ router.put('/password', auth, [
         });
     }
 
-    // 更新密码
+    // 更新密码（之前签发的令牌将失效），并登出其他设备
     user.password = newPassword;
     await user.save();
+    await Session.revokeAllForUser(user._id, 'password_changed', req.authSession._id);
+
+    res.json({
+        success: true,
+        message: '密码修改成功',
+        data: {
+            token: user.getSignedJwtToken(req.authSession._id)
+        }
+    });
+}));
+
+// @desc    忘记密码，发送重置邮件
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', forgotPasswordLimiter, [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('请输入有效的邮箱地址')
+], asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    // 不等待邮件发送完成，避免通过响应时间判断账户是否存在
+    if (user && !user.isGuest && user.status === 'active') {
+        sendPasswordResetEmail(user).catch(error => {
+            console.error('发送重置密码邮件失败:', error.message);
+        });
+    }
+
+    // 无论账户是否存在都返回相同结果，避免泄露注册信息
+    res.json({
+        success: true,
+        message: '如果该邮箱已注册，重置密码的邮件将很快送达'
+    });
+}));
+
+// @desc    重置密码
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', [
+    body('password')
+        .isLength({ min: 6, max: 128 })
+        .withMessage('密码长度必须在6-128个字符之间')
+        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+        .withMessage('密码必须包含至少一个小写字母、一个大写字母和一个数字'),
+    body('confirmPassword')
+        .custom((value, { req }) => {
+            if (value !== req.body.password) {
+                throw new Error('确认密码与密码不匹配');
+            }
+            return true;
+        })
+], asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const user = await User.findOne({
+        passwordResetToken: User.hashToken(req.params.token),
+        passwordResetExpires: { $gt: new Date() }
+    }).select('+password');
+
+    if (!user) {
+        return res.status(400).json({
+            success: false,
+            error: '重置链接无效或已过期'
+        });
+    }
+
+    // 设置新密码，令牌仅能使用一次，同时解除登录锁定
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+
+    // 登出所有设备
+    await Session.revokeAllForUser(user._id, 'password_changed');
 
     res.json({
         success: true,
-        message: '密码修改成功'
+        message: '密码已重置，请使用新密码登录'
     });
 }));
 
@@ -375,14 +763,136 @@ router.put('/password', auth, [
 // @route   POST /api/auth/logout
 // @access  Private
 router.post('/logout', auth, asyncHandler(async (req, res) => {
-    // 在实际应用中，可以将token加入黑名单
-    // 这里只是返回成功响应
+    // 撤销当前会话，访问令牌和刷新令牌随之失效
+    await req.authSession.revoke('logout');
+
     res.json({
         success: true,
         message: '登出成功'
     });
 }));
 
+// @desc    刷新访问令牌（刷新令牌同时轮换）
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+    body('refreshToken')
+        .notEmpty()
+        .withMessage('缺少刷新令牌')
+], asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const session = await Session.findByRefreshToken(req.body.refreshToken);
+
+    if (!session || !session.isActive) {
+        return res.status(401).json({
+            success: false,
+            error: '登录会话已失效，请重新登录'
+        });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user || user.status !== 'active') {
+        await session.revoke('account_banned');
+        return res.status(401).json({
+            success: false,
+            error: '账户不可用，请重新登录'
+        });
+    }
+
+    // 检查账户是否被锁定
+    if (user.isLocked) {
+        return res.status(423).json({
+            success: false,
+            error: '账户已被锁定，请稍后再试'
+        });
+    }
+
+    const refreshToken = await session.rotate(req);
+
+    res.json({
+        success: true,
+        data: {
+            token: user.getSignedJwtToken(session._id),
+            refreshToken
+        }
+    });
+}));
+
+// @desc    获取已登录的设备列表
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', auth, asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+        user: req.user.id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+    .select('userAgent ipAddress createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+
+    res.json({
+        success: true,
+        data: {
+            sessions: sessions.map(session => ({
+                id: session._id,
+                userAgent: session.userAgent,
+                ipAddress: session.ipAddress,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                current: session._id.equals(req.authSession._id)
+            }))
+        }
+    });
+}));
+
+// @desc    撤销指定设备的会话
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', auth, asyncHandler(async (req, res) => {
+    const session = await Session.findOne({
+        _id: req.params.id,
+        user: req.user.id,
+        revokedAt: null
+    });
+
+    if (!session) {
+        return res.status(404).json({
+            success: false,
+            error: '会话不存在'
+        });
+    }
+
+    await session.revoke('user_revoked');
+
+    res.json({
+        success: true,
+        message: '已登出该设备'
+    });
+}));
+
+// @desc    登出除当前设备外的所有设备
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', auth, asyncHandler(async (req, res) => {
+    const result = await Session.revokeAllForUser(req.user.id, 'user_revoked', req.authSession._id);
+
+    res.json({
+        success: true,
+        message: `已登出 ${result.modifiedCount} 个其他设备`
+    });
+}));
+
 // @desc    删除账户
 // @route   DELETE /api/auth/account
 // @access  Private
@@ -424,9 +934,11 @@ router.delete('/account', auth, [
     const Comment = require('../models/Comment');
 
     await Promise.all([
-        Confession.deleteMany({ author: user._id }),
+        Confession.deleteMany(Confession.ownedByQuery(user._id)),
         Vote.deleteMany({ user: user._id }),
         Comment.deleteMany({ author: user._id }),
+        Session.deleteMany({ user: user._id }),
+        Follow.deleteMany({ $or: [{ follower: user._id }, { following: user._id }] }),
         User.findByIdAndDelete(user._id)
     ]);
 
@@ -4,10 +4,23 @@ const rateLimit = require('express-rate-limit');
 const Confession = require('../models/Confession');
 const Vote = require('../models/Vote');
 const Comment = require('../models/Comment');
+const CommentReaction = require('../models/CommentReaction');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
+const Follow = require('../models/Follow');
+const AuditLog = require('../models/AuditLog');
+const Report = require('../models/Report');
+const Notification = require('../models/Notification');
+const { auth, guestAuth, checkOwnership, requireVerifiedEmail } = require('../middleware/auth');
 const optionalAuth = require('../middleware/optionalAuth');
+const idempotency = require('../middleware/idempotency');
 const asyncHandler = require('../middleware/asyncHandler');
+const { applyAutoHidePolicy } = require('../utils/autoHide');
+const { applyContentFilters } = require('../utils/contentFilter');
+const { requiresPremoderation } = require('../utils/premoderation');
+const { detectPii } = require('../utils/piiDetector');
+const { publish, openStream } = require('../utils/liveUpdates');
+const { sendPushToConfessionOwner, dispatch } = require('../utils/webPush');
+const { findPage, isValidCursor } = require('../utils/cursor');
 
 const router = express.Router();
 
@@ -31,6 +44,47 @@ const voteLimiter = rateLimit({
     }
 });
 
+// 评论速率限制（按用户计数，未登录时退回到IP）
+const commentLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1分钟
+    max: 5, // 最多5条评论
+    keyGenerator: (req) => (req.user ? req.user.id : req.ip),
+    message: {
+        error: '评论过于频繁，请稍后再试',
+        code: 'COMMENT_RATE_LIMIT'
+    }
+});
+
+// 举报速率限制（按用户计数）
+const reportLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1小时
+    max: 10, // 最多10次举报
+    keyGenerator: (req) => req.user.id,
+    message: {
+        error: '举报过于频繁，请稍后再试',
+        code: 'REPORT_RATE_LIMIT'
+    }
+});
+
+// 游客速率限制（更严格，按游客账户计数，对注册用户不生效）
+const createGuestLimiter = (windowMs, max, error, code) => rateLimit({
+    windowMs,
+    max,
+    keyGenerator: (req) => req.user.id,
+    skip: (req) => !req.user || !req.user.isGuest,
+    message: { error, code }
+});
+
+const guestConfessionLimiter = createGuestLimiter(
+    24 * 60 * 60 * 1000, 3, '游客每天最多发布3条告解，注册后可发布更多', 'GUEST_CONFESSION_RATE_LIMIT'
+);
+const guestVoteLimiter = createGuestLimiter(
+    60 * 60 * 1000, 30, '游客投票过于频繁，请稍后再试', 'GUEST_VOTE_RATE_LIMIT'
+);
+const guestCommentLimiter = createGuestLimiter(
+    60 * 60 * 1000, 10, '游客评论过于频繁，请稍后再试', 'GUEST_COMMENT_RATE_LIMIT'
+);
+
 // 创建告解验证规则
 const createConfessionValidation = [
     body('content')
@@ -61,6 +115,33 @@ const createConfessionValidation = [
         .withMessage('匿名标识必须为布尔值')
 ];
 
+// 编辑告解验证规则
+const updateConfessionValidation = [
+    body('content')
+        .optional()
+        .isLength({ min: 10, max: 2000 })
+        .withMessage('告解内容长度必须在10-2000个字符之间')
+        .trim(),
+    body('title')
+        .optional()
+        .isLength({ max: 100 })
+        .withMessage('标题不能超过100个字符')
+        .trim(),
+    body('category')
+        .optional()
+        .isIn(['personal', 'work', 'relationship', 'family', 'moral', 'other'])
+        .withMessage('无效的分类'),
+    body('tags')
+        .optional()
+        .isArray({ max: 5 })
+        .withMessage('标签最多5个'),
+    body('tags.*')
+        .optional()
+        .isLength({ min: 1, max: 20 })
+        .withMessage('标签长度必须在1-20个字符之间')
+        .trim()
+];
+
 // 投票验证规则
 const voteValidation = [
     body('type')
@@ -68,6 +149,62 @@ const voteValidation = [
         .withMessage('投票类型必须是 heaven 或 hell')
 ];
 
+// 评论验证规则
+const commentValidation = [
+    body('content')
+        .trim()
+        .isLength({ min: 1, max: 500 })
+        .withMessage('评论内容长度必须在1-500个字符之间'),
+    body('parentComment')
+        .optional({ nullable: true })
+        .isMongoId()
+        .withMessage('父评论ID无效')
+];
+
+// 编辑评论验证规则
+const editCommentValidation = [
+    body('content')
+        .trim()
+        .isLength({ min: 1, max: 500 })
+        .withMessage('评论内容长度必须在1-500个字符之间')
+];
+
+// 举报验证规则（告解与评论共用）
+const reportValidation = [
+    body('reason')
+        .isIn(Report.REASONS)
+        .withMessage('举报原因无效'),
+    body('description')
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage('描述不能超过200个字符')
+];
+
+// 内容命中拒绝规则时的响应
+const contentRejected = (res) => res.status(400).json({
+    success: false,
+    error: '内容包含违禁词，无法发布',
+    code: 'CONTENT_REJECTED'
+});
+
+// 内容包含个人信息且作者尚未确认时的响应，告知哪些信息会被隐藏
+// 作者确认后带上 confirmPii: true 重新提交，按 preview 中处理后的内容发布
+const piiConfirmationRequired = (res, pii) => res.status(422).json({
+    success: false,
+    error: '内容中包含个人信息，确认后将隐藏这些信息再发布',
+    code: 'PII_DETECTED',
+    details: {
+        detections: pii.detections,
+        preview: pii.fields
+    }
+});
+
+// 投票后的最新计数，客户端直接使用，避免本地增减与实时推送的计数叠加
+const getVoteCounts = async (confessionId) => {
+    const confession = await Confession.findById(confessionId).select('votes');
+    return confession ? { heaven: confession.votes.heaven, hell: confession.votes.hell } : null;
+};
+
 // @desc    获取告解列表
 // @route   GET /api/confessions
 // @access  Public
@@ -80,6 +217,10 @@ router.get('/', [
         .optional()
         .isInt({ min: 1, max: 50 })
         .withMessage('每页数量必须在1-50之间'),
+    query('cursor')
+        .optional()
+        .custom(isValidCursor)
+        .withMessage('分页游标无效'),
     query('sort')
         .optional()
         .isIn(['latest', 'hot', 'votes', 'comments'])
@@ -91,7 +232,11 @@ router.get('/', [
     query('search')
         .optional()
         .isLength({ min: 1, max: 100 })
-        .withMessage('搜索关键词长度必须在1-100个字符之间')
+        .withMessage('搜索关键词长度必须在1-100个字符之间'),
+    query('feed')
+        .optional()
+        .isIn(['all', 'following'])
+        .withMessage('动态类型无效')
 ], optionalAuth, asyncHandler(async (req, res) => {
     // 验证输入
     const errors = validationResult(req);
@@ -106,13 +251,14 @@ router.get('/', [
     const {
         page = 1,
         limit = 20,
+        cursor,
         sort = 'latest',
         category,
         search,
-        tags
+        tags,
+        feed = 'all'
     } = req.query;
 
-    const skip = (page - 1) * limit;
     let query = {
         status: 'approved',
         $or: [
@@ -121,6 +267,19 @@ router.get('/', [
         ]
     };
 
+    // 关注动态：只显示已关注且资料公开的用户发布的非匿名告解
+    if (feed === 'following') {
+        if (!req.user || req.user.isGuest) {
+            return res.status(401).json({
+                success: false,
+                error: '请先登录后查看关注动态'
+            });
+        }
+
+        query.author = { $in: await Follow.getFollowingIds(req.user.id) };
+        query.isAnonymous = false;
+    }
+
     // 分类筛选
     if (category) {
         query.category = category;
@@ -141,19 +300,8 @@ router.get('/', [
     let sortOptions = {};
     switch (sort) {
         case 'hot':
-            // 使用热度算法排序
-            const confessions = await Confession.getHotConfessions(parseInt(limit), skip);
-            return res.json({
-                success: true,
-                data: {
-                    confessions,
-                    pagination: {
-                        page: parseInt(page),
-                        limit: parseInt(limit),
-                        hasMore: confessions.length === parseInt(limit)
-                    }
-                }
-            });
+            sortOptions = { hotScore: -1 };
+            break;
         case 'votes':
             sortOptions = { 'votes.heaven': -1, 'votes.hell': -1, createdAt: -1 };
             break;
@@ -164,12 +312,13 @@ router.get('/', [
             sortOptions = { createdAt: -1 };
     }
 
-    const confessions = await Confession.find(query)
-        .populate('author', 'username avatar')
-        .sort(sortOptions)
-        .limit(parseInt(limit))
-        .skip(skip)
-        .select('-metadata -moderation');
+    let { items: confessions, pagination } = await findPage(
+        filter => Confession.find(filter)
+            .populate('author', 'username avatar')
+            .select('-metadata -moderation'),
+        // 筛选条件含当前时间和关注列表，游标按请求参数绑定
+        { filter: query, sort: sortOptions, limit, cursor, page, key: { feed, category, tags, search } }
+    );
 
     // 如果用户已登录，获取用户的投票信息
     if (req.user) {
@@ -184,24 +333,66 @@ router.get('/', [
             voteMap[vote.confession.toString()] = vote.type;
         });
 
-        confessions.forEach(confession => {
-            confession.userVote = voteMap[confession._id.toString()] || null;
-        });
+        // userVote 不是模型字段，需转为普通对象后才能出现在响应中
+        confessions = confessions.map(confession => ({
+            ...confession.toObject(),
+            userVote: voteMap[confession._id.toString()] || null
+        }));
     }
 
     res.json({
         success: true,
         data: {
             confessions,
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                hasMore: confessions.length === parseInt(limit)
-            }
+            pagination
         }
     });
 }));
 
+// @desc    订阅全站实时更新（新告解、投票数、评论）
+// @route   GET /api/confessions/stream
+// @access  Public
+router.get('/stream', (req, res) => {
+    openStream(req, res);
+});
+
+// @desc    获取热门告解
+// @route   GET /api/confessions/hot
+// @access  Public
+router.get('/hot', asyncHandler(async (req, res) => {
+    const { limit = 10 } = req.query;
+    
+    const confessions = await Confession.getHotConfessions(parseInt(limit));
+    
+    res.json({
+        success: true,
+        data: { confessions }
+    });
+}));
+
+// @desc    获取精选告解
+// @route   GET /api/confessions/featured
+// @access  Public
+router.get('/featured', asyncHandler(async (req, res) => {
+    const confessions = await Confession.find({
+        featured: true,
+        status: 'approved',
+        $or: [
+            { expiresAt: null },
+            { expiresAt: { $gt: new Date() } }
+        ]
+    })
+    .populate('author', 'username avatar')
+    .sort({ featuredAt: -1 })
+    .limit(10)
+    .select('-metadata -moderation');
+
+    res.json({
+        success: true,
+        data: { confessions }
+    });
+}));
+
 // @desc    获取单个告解详情
 // @route   GET /api/confessions/:id
 // @access  Public
@@ -259,8 +450,8 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
 
 // @desc    创建告解
 // @route   POST /api/confessions
-// @access  Private
-router.post('/', auth, createConfessionLimiter, createConfessionValidation, asyncHandler(async (req, res) => {
+// @access  Private (含游客)
+router.post('/', guestAuth, idempotency, requireVerifiedEmail, createConfessionLimiter, guestConfessionLimiter, createConfessionValidation, asyncHandler(async (req, res) => {
     // 验证输入
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -279,19 +470,41 @@ router.post('/', auth, createConfessionLimiter, createConfessionValidation, asyn
         isAnonymous = true
     } = req.body;
 
-    // 创建告解
-    const confession = await Confession.create({
-        title,
-        content,
+    // 内容过滤
+    const filtered = await applyContentFilters({ title, content }, 'confession');
+    if (filtered.action === 'reject') {
+        return contentRejected(res);
+    }
+
+    // 检测个人信息，作者确认后才发布
+    const pii = detectPii(filtered.fields);
+    if (pii.detections.length > 0 && req.body.confirmPii !== true) {
+        return piiConfirmationRequired(res, pii);
+    }
+
+    // 命中过滤规则或站点开启先审后发时，告解需审核后才公开
+    const isPending = filtered.action === 'pending' || await requiresPremoderation(req.user, { category });
+
+    // 创建告解（匿名时作者只以私有密钥形式保存）
+    const confession = new Confession({
+        title: pii.fields.title,
+        content: pii.fields.content,
         author: isAnonymous ? null : req.user.id,
         isAnonymous,
         category,
         tags,
+        status: isPending ? 'pending' : 'approved',
+        moderation: {
+            filterHits: filtered.hits,
+            piiDetections: pii.detections
+        },
         metadata: {
             ipAddress: req.ip,
             userAgent: req.get('User-Agent')
         }
     });
+    confession.setOwner(req.user.id);
+    await confession.save();
 
     // 更新用户统计
     if (!isAnonymous) {
@@ -303,17 +516,156 @@ router.post('/', auth, createConfessionLimiter, createConfessionValidation, asyn
     // 填充作者信息
     await confession.populate('author', 'username avatar');
 
+    // 推送新告解
+    if (confession.status === 'approved') {
+        const publicConfession = await Confession.findById(confession._id)
+            .populate('author', 'username avatar')
+            .select('-metadata -moderation');
+        publish('confession', {
+            confessionId: confession._id.toString(),
+            confession: publicConfession
+        });
+    }
+
     res.status(201).json({
         success: true,
-        message: '告解创建成功',
+        message: confession.status === 'pending' ? '告解已提交，审核通过后将公开显示' : '告解创建成功',
         data: { confession }
     });
 }));
 
+// @desc    编辑告解（保留修订记录）
+// @route   PUT /api/confessions/:id
+// @access  Private (仅作者)
+router.put('/:id', auth, checkOwnership(Confession), updateConfessionValidation, asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const confession = req.resource;
+
+    // 检查是否过期
+    if (confession.isExpired) {
+        return res.status(410).json({
+            success: false,
+            error: '告解已过期，无法编辑'
+        });
+    }
+
+    const { title, content, category, tags } = req.body;
+
+    if (title === undefined && content === undefined && category === undefined && tags === undefined) {
+        return res.status(400).json({
+            success: false,
+            error: '没有需要更新的内容'
+        });
+    }
+
+    // 内容过滤
+    const filtered = await applyContentFilters({ title, content }, 'confession');
+    if (filtered.action === 'reject') {
+        return contentRejected(res);
+    }
+
+    // 检测个人信息，作者确认后才发布
+    const pii = detectPii(filtered.fields);
+    if (pii.detections.length > 0 && req.body.confirmPii !== true) {
+        return piiConfirmationRequired(res, pii);
+    }
+
+    // 管理日志需要记录修改前的状态
+    const previousStatus = confession.status;
+
+    // 先保存修改前的版本
+    await confession.addRevision(req.user.id);
+
+    if (title !== undefined) confession.title = pii.fields.title;
+    if (content !== undefined) confession.content = pii.fields.content;
+    if (category !== undefined) confession.category = category;
+    if (tags !== undefined) confession.tags = tags;
+    confession.editedAt = new Date();
+
+    if (filtered.hits.length > 0) {
+        confession.moderation.filterHits = filtered.hits;
+    }
+    if (pii.detections.length > 0) {
+        confession.moderation.piiDetections = pii.detections;
+    }
+    if (filtered.action === 'pending') {
+        confession.status = 'pending';
+    }
+
+    await confession.save();
+
+    // 管理员编辑他人告解时记录管理日志
+    if (!confession.isOwnedBy(req.user.id)) {
+        await AuditLog.record(req, {
+            action: 'confession.edit',
+            targetType: 'confession',
+            targetIds: confession._id,
+            before: { status: previousStatus },
+            after: {
+                status: confession.status,
+                fields: ['title', 'content', 'category', 'tags'].filter(field => req.body[field] !== undefined)
+            }
+        });
+    }
+
+    const updatedConfession = await Confession.findById(confession._id)
+        .populate('author', 'username avatar')
+        .select('-metadata -moderation');
+
+    res.json({
+        success: true,
+        message: updatedConfession.status === 'pending' ? '告解已更新，审核通过后将重新显示' : '告解已更新',
+        data: { confession: updatedConfession }
+    });
+}));
+
+// @desc    删除告解
+// @route   DELETE /api/confessions/:id
+// @access  Private (仅作者)
+router.delete('/:id', auth, checkOwnership(Confession), asyncHandler(async (req, res) => {
+    const confession = req.resource;
+
+    // 通过 deleteOne 钩子清理相关投票和评论
+    await confession.deleteOne();
+
+    // 管理员删除他人告解时记录管理日志
+    if (!confession.isOwnedBy(req.user.id)) {
+        await AuditLog.record(req, {
+            action: 'confession.delete',
+            targetType: 'confession',
+            targetIds: confession._id,
+            before: { status: confession.status },
+            after: { deleted: true }
+        });
+    }
+
+    // 更新用户统计
+    if (!confession.isAnonymous && confession.author) {
+        await User.updateOne(
+            { _id: confession.author, 'stats.confessionsCount': { $gt: 0 } },
+            { $inc: { 'stats.confessionsCount': -1 } }
+        );
+    }
+
+    res.json({
+        success: true,
+        message: '告解已删除'
+    });
+}));
+
 // @desc    投票
 // @route   POST /api/confessions/:id/vote
-// @access  Private
-router.post('/:id/vote', auth, voteLimiter, voteValidation, asyncHandler(async (req, res) => {
+// @access  Private (含游客)
+router.post('/:id/vote', guestAuth, idempotency, voteLimiter, guestVoteLimiter, voteValidation, asyncHandler(async (req, res) => {
     // 验证输入
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -368,7 +720,8 @@ router.post('/:id/vote', auth, voteLimiter, voteValidation, asyncHandler(async (
                 message: '投票已取消',
                 data: {
                     action: 'removed',
-                    type: null
+                    type: null,
+                    votes: await getVoteCounts(confessionId)
                 }
             });
         } else {
@@ -381,16 +734,34 @@ router.post('/:id/vote', auth, voteLimiter, voteValidation, asyncHandler(async (
                 message: '投票已更改',
                 data: {
                     action: 'changed',
-                    type
+                    type,
+                    votes: await getVoteCounts(confessionId)
                 }
             });
         }
     } else {
+        // 游客可以更换设备ID重新获取身份，同一网络的游客对同一告解只能投一票
+        if (req.user.isGuest) {
+            const guestVoted = await Vote.exists({
+                confession: confessionId,
+                guest: true,
+                'metadata.ipAddress': req.ip
+            });
+            if (guestVoted) {
+                return res.status(403).json({
+                    success: false,
+                    error: '当前网络已有游客对这条告解投过票，请登录后投票',
+                    code: 'GUEST_VOTE_LIMIT'
+                });
+            }
+        }
+
         // 创建新投票
         await Vote.create({
             user: req.user.id,
             confession: confessionId,
             type,
+            guest: req.user.isGuest,
             metadata: {
                 ipAddress: req.ip,
                 userAgent: req.get('User-Agent')
@@ -402,17 +773,45 @@ router.post('/:id/vote', auth, voteLimiter, voteValidation, asyncHandler(async (
             $inc: { 'stats.votesCount': 1 }
         });
 
+        // 推送给发布者，同一告解的投票推送相互替换
+        dispatch(sendPushToConfessionOwner(confession, {
+            title: type === 'heaven' ? '有人投票让你的告解上天堂' : '有人投票让你的告解下地狱',
+            body: Notification.excerpt(confession.title || confession.content),
+            url: `/?confession=${confessionId}`,
+            tag: `vote-${confessionId}`
+        }, {
+            exceptUserId: req.user.id,
+            topic: `vote-${confessionId}`
+        }));
+
         res.json({
             success: true,
             message: '投票成功',
             data: {
                 action: 'added',
-                type
+                type,
+                votes: await getVoteCounts(confessionId)
             }
         });
     }
 }));
 
+// @desc    订阅单条告解的实时更新（投票数、评论）
+// @route   GET /api/confessions/:id/stream
+// @access  Public
+router.get('/:id/stream', asyncHandler(async (req, res) => {
+    const confession = await Confession.findById(req.params.id).select('status');
+
+    if (!confession || confession.status !== 'approved') {
+        return res.status(404).json({
+            success: false,
+            error: '告解不存在'
+        });
+    }
+
+    openStream(req, res, { confessionId: confession._id.toString() });
+}));
+
 // @desc    获取告解评论
 // @route   GET /api/confessions/:id/comments
 // @access  Public
@@ -425,11 +824,15 @@ router.get('/:id/comments', [
         .optional()
         .isInt({ min: 1, max: 50 })
         .withMessage('每页数量必须在1-50之间'),
+    query('cursor')
+        .optional()
+        .custom(isValidCursor)
+        .withMessage('分页游标无效'),
     query('sort')
         .optional()
         .isIn(['latest', 'oldest', 'likes'])
         .withMessage('排序方式无效')
-], asyncHandler(async (req, res) => {
+], optionalAuth, asyncHandler(async (req, res) => {
     // 验证输入
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -443,6 +846,7 @@ router.get('/:id/comments', [
     const {
         page = 1,
         limit = 20,
+        cursor,
         sort = 'latest'
     } = req.query;
 
@@ -457,7 +861,6 @@ router.get('/:id/comments', [
         });
     }
 
-    const skip = (page - 1) * limit;
     let sortOptions = {};
 
     switch (sort) {
@@ -471,15 +874,20 @@ router.get('/:id/comments', [
             sortOptions = { createdAt: -1 };
     }
 
-    const comments = await Comment.find({
-        confession: confessionId,
-        status: 'approved',
-        parentComment: null // 只获取顶级评论
-    })
-    .populate('author', 'username avatar')
-    .sort(sortOptions)
-    .limit(parseInt(limit))
-    .skip(skip);
+    const { items: comments, pagination } = await findPage(
+        filter => Comment.find(filter).populate('author', 'username avatar'),
+        {
+            filter: {
+                confession: confessionId,
+                status: 'approved',
+                parentComment: null // 只获取顶级评论
+            },
+            sort: sortOptions,
+            limit,
+            cursor,
+            page
+        }
+    );
 
     // 获取每个评论的回复数量
     for (let comment of comments) {
@@ -490,16 +898,407 @@ router.get('/:id/comments', [
         comment.repliesCount = repliesCount;
     }
 
+    // 如果用户已登录，附带用户对每条评论的赞踩
+    let reactionMap = {};
+    if (req.user) {
+        reactionMap = await CommentReaction.getUserReactionMap(
+            req.user.id,
+            comments.map(c => c._id)
+        );
+    }
+
     res.json({
         success: true,
         data: {
-            comments,
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                hasMore: comments.length === parseInt(limit)
+            comments: comments.map(comment => ({
+                ...comment.toObject(),
+                userReaction: reactionMap[comment._id.toString()] || null
+            })),
+            pagination
+        }
+    });
+}));
+
+// @desc    发表评论或回复
+// @route   POST /api/confessions/:id/comments
+// @access  Private (含游客)
+router.post('/:id/comments', guestAuth, idempotency, commentLimiter, guestCommentLimiter, commentValidation, asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const { content, parentComment } = req.body;
+    const confessionId = req.params.id;
+
+    // 检查告解是否存在
+    const confession = await Confession.findById(confessionId);
+    if (!confession) {
+        return res.status(404).json({
+            success: false,
+            error: '告解不存在'
+        });
+    }
+
+    // 检查告解状态
+    if (confession.status !== 'approved') {
+        return res.status(403).json({
+            success: false,
+            error: '无法评论此告解'
+        });
+    }
+
+    // 检查是否过期
+    if (confession.isExpired) {
+        return res.status(410).json({
+            success: false,
+            error: '告解已过期，无法评论'
+        });
+    }
+
+    // 回复时检查父评论
+    if (parentComment) {
+        const parent = await Comment.findById(parentComment);
+        if (!parent || parent.confession.toString() !== confessionId || parent.status !== 'approved') {
+            return res.status(404).json({
+                success: false,
+                error: '回复的评论不存在'
+            });
+        }
+    }
+
+    // 内容过滤
+    const filtered = await applyContentFilters({ content }, 'comment');
+    if (filtered.action === 'reject') {
+        return contentRejected(res);
+    }
+
+    // 检测个人信息，作者确认后才发布
+    const pii = detectPii(filtered.fields);
+    if (pii.detections.length > 0 && req.body.confirmPii !== true) {
+        return piiConfirmationRequired(res, pii);
+    }
+
+    const comment = await Comment.create({
+        content: pii.fields.content,
+        author: req.user.id,
+        confession: confessionId,
+        parentComment: parentComment || null,
+        status: filtered.action === 'pending' ? 'pending' : 'approved',
+        moderation: {
+            filterHits: filtered.hits,
+            piiDetections: pii.detections
+        },
+        metadata: {
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        }
+    });
+
+    // 更新用户统计
+    await User.findByIdAndUpdate(req.user.id, {
+        $inc: { 'stats.commentsCount': 1 }
+    });
+
+    await comment.populate('author', 'username avatar');
+
+    // 推送新评论
+    if (comment.status === 'approved') {
+        const publicComment = await Comment.findById(comment._id)
+            .populate('author', 'username avatar')
+            .select('-metadata -moderation');
+        publish('comment', {
+            confessionId: confessionId,
+            comment: publicComment
+        });
+
+        await Notification.notifyNewComment(comment, confession);
+    }
+
+    let message = parentComment ? '回复成功' : '评论成功';
+    if (comment.status === 'pending') {
+        message = '评论已提交，审核通过后将公开显示';
+    }
+
+    res.status(201).json({
+        success: true,
+        message,
+        data: { comment }
+    });
+}));
+
+// @desc    编辑评论
+// @route   PUT /api/confessions/:id/comments/:commentId
+// @access  Private (仅作者)
+router.put('/:id/comments/:commentId', auth, editCommentValidation, asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const comment = await Comment.findOne({
+        _id: req.params.commentId,
+        confession: req.params.id
+    });
+
+    if (!comment) {
+        return res.status(404).json({
+            success: false,
+            error: '评论不存在'
+        });
+    }
+
+    // 只有作者本人可以编辑
+    if (comment.author.toString() !== req.user.id) {
+        return res.status(403).json({
+            success: false,
+            error: '只能编辑自己的评论'
+        });
+    }
+
+    if (comment.status !== 'approved') {
+        return res.status(403).json({
+            success: false,
+            error: '该评论当前无法编辑'
+        });
+    }
+
+    // 内容过滤
+    const filtered = await applyContentFilters({ content: req.body.content }, 'comment');
+    if (filtered.action === 'reject') {
+        return contentRejected(res);
+    }
+
+    // 检测个人信息，作者确认后才发布
+    const pii = detectPii(filtered.fields);
+    if (pii.detections.length > 0 && req.body.confirmPii !== true) {
+        return piiConfirmationRequired(res, pii);
+    }
+
+    await comment.editContent(pii.fields.content);
+
+    if (filtered.hits.length > 0 || pii.detections.length > 0) {
+        const update = {};
+        if (filtered.hits.length > 0) {
+            update['moderation.filterHits'] = filtered.hits;
+        }
+        if (pii.detections.length > 0) {
+            update['moderation.piiDetections'] = pii.detections;
+        }
+        if (filtered.action === 'pending') {
+            update.status = 'pending';
+        }
+        await comment.updateOne({ $set: update });
+
+        // 转入待审核后不再计入告解评论数
+        if (filtered.action === 'pending') {
+            const confession = await Confession.findById(comment.confession);
+            if (confession) {
+                await confession.updateCommentCount();
             }
         }
+    }
+
+    const updatedComment = await Comment.findById(comment._id)
+        .populate('author', 'username avatar');
+
+    res.json({
+        success: true,
+        message: updatedComment.status === 'pending' ? '评论已更新，审核通过后将重新显示' : '评论已更新',
+        data: { comment: updatedComment }
+    });
+}));
+
+// @desc    删除评论（连同其回复）
+// @route   DELETE /api/confessions/:id/comments/:commentId
+// @access  Private (作者/版主/管理员)
+router.delete('/:id/comments/:commentId', auth, asyncHandler(async (req, res) => {
+    const comment = await Comment.findOne({
+        _id: req.params.commentId,
+        confession: req.params.id
+    });
+
+    if (!comment) {
+        return res.status(404).json({
+            success: false,
+            error: '评论不存在'
+        });
+    }
+
+    const isAuthor = comment.author.toString() === req.user.id;
+    const isModerator = ['moderator', 'admin'].includes(req.user.role);
+
+    if (!isAuthor && !isModerator) {
+        return res.status(403).json({
+            success: false,
+            error: '无权删除此评论'
+        });
+    }
+
+    // 通过 deleteOne 钩子级联删除整棵回复树并更新计数
+    await comment.deleteOne();
+
+    // 版主删除他人评论时记录管理日志
+    if (!isAuthor) {
+        await AuditLog.record(req, {
+            action: 'comment.delete',
+            targetType: 'comment',
+            targetIds: comment._id,
+            before: { status: comment.status },
+            after: { deleted: true }
+        });
+    }
+
+    await User.updateOne(
+        { _id: comment.author, 'stats.commentsCount': { $gt: 0 } },
+        { $inc: { 'stats.commentsCount': -1 } }
+    );
+
+    res.json({
+        success: true,
+        message: '评论已删除'
+    });
+}));
+
+// @desc    评论点赞/点踩（再次提交相同类型即取消）
+// @route   POST /api/confessions/:id/comments/:commentId/reaction
+// @access  Private
+router.post('/:id/comments/:commentId/reaction', auth, voteLimiter, [
+    body('type')
+        .isIn(['like', 'dislike'])
+        .withMessage('反应类型必须是 like 或 dislike')
+], asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const { type } = req.body;
+
+    const comment = await Comment.findOne({
+        _id: req.params.commentId,
+        confession: req.params.id
+    });
+
+    if (!comment || comment.status !== 'approved') {
+        return res.status(404).json({
+            success: false,
+            error: '评论不存在'
+        });
+    }
+
+    const existingReaction = await CommentReaction.findOne({
+        user: req.user.id,
+        comment: comment._id
+    });
+
+    let action;
+    let userReaction;
+
+    if (existingReaction && existingReaction.type === type) {
+        // 相同类型则取消
+        await existingReaction.deleteOne();
+        action = 'removed';
+        userReaction = null;
+    } else if (existingReaction) {
+        // 在赞和踩之间切换
+        existingReaction.type = type;
+        await existingReaction.save();
+        action = 'changed';
+        userReaction = type;
+    } else {
+        await CommentReaction.create({
+            user: req.user.id,
+            comment: comment._id,
+            confession: comment.confession,
+            type
+        });
+        action = 'added';
+        userReaction = type;
+    }
+
+    const updatedComment = await Comment.findById(comment._id).select('likes dislikes');
+
+    res.json({
+        success: true,
+        data: {
+            action,
+            userReaction,
+            likes: updatedComment.likes,
+            dislikes: updatedComment.dislikes
+        }
+    });
+}));
+
+// @desc    举报评论
+// @route   POST /api/confessions/:id/comments/:commentId/report
+// @access  Private
+router.post('/:id/comments/:commentId/report', auth, reportLimiter, reportValidation, asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const { reason, description } = req.body;
+
+    const comment = await Comment.findOne({
+        _id: req.params.commentId,
+        confession: req.params.id
+    });
+
+    if (!comment || comment.status !== 'approved') {
+        return res.status(404).json({
+            success: false,
+            error: '评论不存在'
+        });
+    }
+
+    // 每位用户对同一评论只能举报一次
+    const alreadyReported = await Report.hasReported(req.user.id, 'comment', comment._id);
+    if (alreadyReported) {
+        return res.status(400).json({
+            success: false,
+            error: '您已举报过该评论'
+        });
+    }
+
+    // 举报评论
+    await Report.create({
+        reporter: req.user.id,
+        targetType: 'comment',
+        target: comment._id,
+        confession: comment.confession,
+        reason,
+        description
+    });
+    await comment.report();
+
+    // 举报达到阈值时自动隐藏，等待人工审核
+    await applyAutoHidePolicy('comment', comment);
+
+    res.json({
+        success: true,
+        message: '举报已提交，我们会尽快处理'
     });
 }));
 
@@ -528,15 +1327,7 @@ router.post('/:id/share', asyncHandler(async (req, res) => {
 // @desc    举报告解
 // @route   POST /api/confessions/:id/report
 // @access  Private
-router.post('/:id/report', auth, [
-    body('reason')
-        .isIn(['spam', 'inappropriate', 'harassment', 'fake', 'other'])
-        .withMessage('举报原因无效'),
-    body('description')
-        .optional()
-        .isLength({ max: 200 })
-        .withMessage('描述不能超过200个字符')
-], asyncHandler(async (req, res) => {
+router.post('/:id/report', auth, reportLimiter, reportValidation, asyncHandler(async (req, res) => {
     // 验证输入
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -557,49 +1348,32 @@ router.post('/:id/report', auth, [
         });
     }
 
-    // 举报告解
-    await confession.report(`${reason}: ${description || ''}`);
-
-    res.json({
-        success: true,
-        message: '举报已提交，我们会尽快处理'
-    });
-}));
+    // 每位用户对同一告解只能举报一次
+    const alreadyReported = await Report.hasReported(req.user.id, 'confession', confession._id);
+    if (alreadyReported) {
+        return res.status(400).json({
+            success: false,
+            error: '您已举报过该告解'
+        });
+    }
 
-// @desc    获取热门告解
-// @route   GET /api/confessions/hot
-// @access  Public
-router.get('/hot', asyncHandler(async (req, res) => {
-    const { limit = 10 } = req.query;
-    
-    const confessions = await Confession.getHotConfessions(parseInt(limit));
-    
-    res.json({
-        success: true,
-        data: { confessions }
+    // 举报告解
+    await Report.create({
+        reporter: req.user.id,
+        targetType: 'confession',
+        target: confession._id,
+        confession: confession._id,
+        reason,
+        description
     });
-}));
+    await confession.report();
 
-// @desc    获取精选告解
-// @route   GET /api/confessions/featured
-// @access  Public
-router.get('/featured', asyncHandler(async (req, res) => {
-    const confessions = await Confession.find({
-        featured: true,
-        status: 'approved',
-        $or: [
-            { expiresAt: null },
-            { expiresAt: { $gt: new Date() } }
-        ]
-    })
-    .populate('author', 'username avatar')
-    .sort({ featuredAt: -1 })
-    .limit(10)
-    .select('-metadata -moderation');
+    // 举报达到阈值时自动隐藏，等待人工审核
+    await applyAutoHidePolicy('confession', confession);
 
     res.json({
         success: true,
-        data: { confessions }
+        message: '举报已提交，我们会尽快处理'
     });
 }));
 
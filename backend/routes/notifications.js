@@ -0,0 +1,259 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const PushSubscription = require('../models/PushSubscription');
+const { guestAuth } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { isPushEnabled, isAllowedEndpoint, getPublicKey } = require('../utils/webPush');
+
+const router = express.Router();
+
+// 通知只对接收者本人可见，游客也可以收到自己匿名告解的通知
+router.use(guestAuth);
+
+// @desc    获取当前用户的通知列表
+// @route   GET /api/notifications
+// @access  Private (含游客)
+router.get('/', [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('页码必须是正整数'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('每页数量必须在1-50之间'),
+    query('unread')
+        .optional()
+        .isBoolean()
+        .withMessage('未读标识必须为布尔值'),
+    query('type')
+        .optional()
+        .isIn(['comment', 'reply', 'vote_milestone', 'moderation'])
+        .withMessage('通知类型无效')
+], asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const { page = 1, limit = 20, unread, type } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { recipient: req.user.id };
+    if (unread === 'true') {
+        query.readAt = null;
+    }
+    if (type) {
+        query.type = type;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(query)
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit))
+            .skip(skip),
+        Notification.countDocuments(query),
+        Notification.getUnreadCount(req.user.id)
+    ]);
+
+    res.json({
+        success: true,
+        data: {
+            notifications,
+            unreadCount,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit),
+                hasMore: skip + notifications.length < total
+            }
+        }
+    });
+}));
+
+// @desc    获取未读通知数量
+// @route   GET /api/notifications/unread-count
+// @access  Private (含游客)
+router.get('/unread-count', asyncHandler(async (req, res) => {
+    const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+    res.json({
+        success: true,
+        data: { unreadCount }
+    });
+}));
+
+// @desc    全部标记为已读
+// @route   PUT /api/notifications/read-all
+// @access  Private (含游客)
+router.put('/read-all', asyncHandler(async (req, res) => {
+    const result = await Notification.updateMany(
+        { recipient: req.user.id, readAt: null },
+        { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+        success: true,
+        message: '已全部标记为已读',
+        data: { updated: result.modifiedCount, unreadCount: 0 }
+    });
+}));
+
+// @desc    获取推送公钥（VAPID），用于浏览器订阅
+// @route   GET /api/notifications/push/public-key
+// @access  Private (含游客)
+router.get('/push/public-key', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            enabled: isPushEnabled(),
+            publicKey: getPublicKey()
+        }
+    });
+});
+
+// @desc    保存浏览器推送订阅
+// @route   POST /api/notifications/push/subscriptions
+// @access  Private (含游客)
+router.post('/push/subscriptions', [
+    body('endpoint')
+        .isLength({ max: 1000 })
+        .withMessage('推送地址过长')
+        .custom(isAllowedEndpoint)
+        .withMessage('推送地址无效'),
+    body('keys.p256dh')
+        .matches(/^[A-Za-z0-9_-]+={0,2}$/)
+        .withMessage('p256dh 公钥无效'),
+    body('keys.auth')
+        .matches(/^[A-Za-z0-9_-]+={0,2}$/)
+        .withMessage('auth 密钥无效')
+], asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    if (!isPushEnabled()) {
+        return res.status(503).json({
+            success: false,
+            error: '推送通知未启用'
+        });
+    }
+
+    const { endpoint, keys } = req.body;
+
+    // 推送地址属于其他账户时，只有持有该订阅 auth 密钥的浏览器（同一浏览器换了账户）才能接管
+    // auth 密钥只保存在浏览器和服务端，仅知道推送地址无法把别人的订阅转到自己名下
+    const existing = await PushSubscription.findOne({ endpoint });
+    if (existing && !existing.user.equals(req.user.id) && existing.keys.auth !== keys.auth) {
+        return res.status(409).json({
+            success: false,
+            error: '该推送地址已被其他账户使用',
+            code: 'PUSH_ENDPOINT_IN_USE'
+        });
+    }
+
+    // 同一浏览器重新订阅或换了账户时覆盖原记录
+    const subscription = await PushSubscription.findOneAndUpdate(
+        { endpoint },
+        {
+            $set: {
+                user: req.user.id,
+                keys: { p256dh: keys.p256dh, auth: keys.auth },
+                userAgent: req.get('User-Agent'),
+                failureCount: 0
+            }
+        },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+        success: true,
+        message: '已开启推送通知',
+        data: { subscription }
+    });
+}));
+
+// @desc    取消浏览器推送订阅
+// @route   DELETE /api/notifications/push/subscriptions
+// @access  Private (含游客)
+router.delete('/push/subscriptions', [
+    body('endpoint')
+        .isURL({ protocols: ['https'], require_protocol: true })
+        .withMessage('推送地址无效')
+], asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    await PushSubscription.deleteOne({ endpoint: req.body.endpoint, user: req.user.id });
+
+    res.json({
+        success: true,
+        message: '已关闭推送通知'
+    });
+}));
+
+// @desc    标记单条通知为已读
+// @route   PUT /api/notifications/:id/read
+// @access  Private (含游客)
+router.put('/:id/read', [
+    param('id')
+        .isMongoId()
+        .withMessage('通知ID无效')
+], asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const notification = await Notification.findOne({
+        _id: req.params.id,
+        recipient: req.user.id
+    });
+
+    if (!notification) {
+        return res.status(404).json({
+            success: false,
+            error: '通知不存在'
+        });
+    }
+
+    if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save();
+    }
+
+    const unreadCount = await Notification.getUnreadCount(req.user.id);
+
+    res.json({
+        success: true,
+        message: '已标记为已读',
+        data: { notification, unreadCount }
+    });
+}));
+
+module.exports = router;
@@ -4,9 +4,11 @@ const User = require('../models/User');
 const Confession = require('../models/Confession');
 const Vote = require('../models/Vote');
 const Comment = require('../models/Comment');
-const auth = require('../middleware/auth');
+const Follow = require('../models/Follow');
+const { auth, guestAuth } = require('../middleware/auth');
 const optionalAuth = require('../middleware/optionalAuth');
 const asyncHandler = require('../middleware/asyncHandler');
+const { findPage, isValidCursor } = require('../utils/cursor');
 
 const router = express.Router();
 
@@ -100,12 +102,77 @@ router.get('/', [
     });
 }));
 
+// @desc    获取当前用户发布的全部告解（含匿名告解）
+// @route   GET /api/users/me/confessions
+// @access  Private (含游客)
+router.get('/me/confessions', guestAuth, [
+    query('cursor')
+        .optional()
+        .custom(isValidCursor)
+        .withMessage('分页游标无效'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('页码必须是正整数'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('每页数量必须在1-50之间'),
+    query('anonymous')
+        .optional()
+        .isBoolean()
+        .withMessage('匿名标识必须为布尔值'),
+    query('status')
+        .optional()
+        .isIn(['pending', 'approved', 'rejected', 'hidden'])
+        .withMessage('告解状态无效')
+], asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const { page = 1, limit = 20, cursor, anonymous, status } = req.query;
+
+    const query = Confession.ownedByQuery(req.user.id);
+
+    // 按是否匿名筛选
+    if (anonymous !== undefined) {
+        query.isAnonymous = anonymous === 'true';
+    }
+
+    // 按状态筛选，作者可以看到自己待审核的告解
+    if (status) {
+        query.status = status;
+    }
+
+    const { items: confessions, pagination } = await findPage(
+        filter => Confession.find(filter)
+            .populate('author', 'username avatar')
+            .select('-metadata -moderation'),
+        { filter: query, sort: { createdAt: -1 }, limit, cursor, page }
+    );
+
+    res.json({
+        success: true,
+        data: {
+            confessions,
+            pagination
+        }
+    });
+}));
+
 // @desc    获取用户详情
 // @route   GET /api/users/:id
 // @access  Public
 router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     const user = await User.findById(req.params.id)
-        .select('username avatar profile stats createdAt lastLogin');
+        .select('username avatar profile stats preferences.publicProfile createdAt lastLogin');
 
     if (!user) {
         return res.status(404).json({
@@ -122,13 +189,19 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
         });
     }
 
-    // 获取用户统计信息
+    // 获取用户统计信息（含关注数和粉丝数）
     const stats = await User.getUserStats(user._id);
-    user.stats = { ...user.stats, ...stats };
+    const isFollowing = req.user && req.user.id !== user.id
+        ? await Follow.isFollowing(req.user.id, user._id)
+        : false;
+
+    const userData = user.toObject();
+    userData.stats = { ...userData.stats, ...stats };
+    userData.isFollowing = isFollowing;
 
     res.json({
         success: true,
-        data: { user }
+        data: { user: userData }
     });
 }));
 
@@ -136,6 +209,10 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
 // @route   GET /api/users/:id/confessions
 // @access  Public
 router.get('/:id/confessions', [
+    query('cursor')
+        .optional()
+        .custom(isValidCursor)
+        .withMessage('分页游标无效'),
     query('page')
         .optional()
         .isInt({ min: 1 })
@@ -155,7 +232,7 @@ router.get('/:id/confessions', [
         });
     }
 
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, cursor } = req.query;
     const userId = req.params.id;
 
     // 检查用户是否存在
@@ -178,7 +255,6 @@ router.get('/:id/confessions', [
         });
     }
 
-    const skip = (page - 1) * limit;
     const query = {
         author: userId,
         isAnonymous: false, // 只显示非匿名告解
@@ -193,22 +269,19 @@ router.get('/:id/confessions', [
         ];
     }
 
-    const confessions = await Confession.find(query)
-        .populate('author', 'username avatar')
-        .sort({ createdAt: -1 })
-        .limit(parseInt(limit))
-        .skip(skip)
-        .select('-metadata -moderation');
+    const { items: confessions, pagination } = await findPage(
+        filter => Confession.find(filter)
+            .populate('author', 'username avatar')
+            .select('-metadata -moderation'),
+        // 筛选条件含当前时间，游标按用户和是否本人绑定
+        { filter: query, sort: { createdAt: -1 }, limit, cursor, page, key: { author: userId, isOwner } }
+    );
 
     res.json({
         success: true,
         data: {
             confessions,
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                hasMore: confessions.length === parseInt(limit)
-            }
+            pagination
         }
     });
 }));
@@ -343,21 +416,157 @@ router.post('/:id/follow', auth, asyncHandler(async (req, res) => {
 
     // 检查目标用户是否存在
     const targetUser = await User.findById(targetUserId);
-    if (!targetUser) {
+    if (!targetUser || targetUser.isGuest || targetUser.status !== 'active') {
         return res.status(404).json({
             success: false,
             error: '用户不存在'
         });
     }
 
-    // 这里可以实现关注功能的逻辑
-    // 由于当前模型中没有关注字段，这里只是示例
+    // 不公开资料的用户无法被关注
+    if (!targetUser.preferences.publicProfile) {
+        return res.status(403).json({
+            success: false,
+            error: '该用户资料不公开，无法关注'
+        });
+    }
+
+    await Follow.updateOne(
+        { follower: currentUserId, following: targetUser._id },
+        { $setOnInsert: { follower: currentUserId, following: targetUser._id } },
+        { upsert: true }
+    );
+
+    const { followersCount } = await Follow.getCounts(targetUser._id);
+
+    res.json({
+        success: true,
+        message: '关注成功',
+        data: {
+            isFollowing: true,
+            followersCount
+        }
+    });
+}));
+
+// @desc    取消关注
+// @route   DELETE /api/users/:id/follow
+// @access  Private
+router.delete('/:id/follow', auth, asyncHandler(async (req, res) => {
+    await Follow.deleteOne({
+        follower: req.user.id,
+        following: req.params.id
+    });
+
+    const { followersCount } = await Follow.getCounts(req.params.id);
+
     res.json({
         success: true,
-        message: '关注功能待实现'
+        message: '已取消关注',
+        data: {
+            isFollowing: false,
+            followersCount
+        }
     });
 }));
 
+// 关注/粉丝列表的通用处理
+// field 为列表中要展示的一方：followers 列表展示 follower，following 列表展示 following
+const listFollows = (field) => asyncHandler(async (req, res) => {
+    // 验证输入
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: '输入验证失败',
+            details: errors.array()
+        });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const userId = req.params.id;
+
+    // 检查用户是否存在
+    const user = await User.findById(userId);
+    if (!user) {
+        return res.status(404).json({
+            success: false,
+            error: '用户不存在'
+        });
+    }
+
+    // 检查权限
+    const isOwner = req.user && req.user.id === userId;
+    if (!isOwner && !user.preferences.publicProfile) {
+        return res.status(403).json({
+            success: false,
+            error: '用户资料不公开'
+        });
+    }
+
+    const skip = (page - 1) * limit;
+    const query = field === 'follower' ? { following: userId } : { follower: userId };
+
+    const [follows, total] = await Promise.all([
+        Follow.find(query)
+            .populate({
+                path: field,
+                select: 'username avatar profile.bio stats.reputation preferences.publicProfile'
+            })
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit))
+            .skip(skip),
+        Follow.countDocuments(query)
+    ]);
+
+    // 不公开资料的用户不出现在列表中
+    const users = follows
+        .filter(follow => follow[field] && follow[field].preferences.publicProfile)
+        .map(follow => ({
+            id: follow[field]._id,
+            username: follow[field].username,
+            avatar: follow[field].avatar,
+            bio: follow[field].profile ? follow[field].profile.bio : undefined,
+            reputation: follow[field].stats.reputation,
+            followedAt: follow.createdAt
+        }));
+
+    res.json({
+        success: true,
+        data: {
+            users,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit),
+                hasMore: skip + follows.length < total
+            }
+        }
+    });
+});
+
+const followListValidation = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('页码必须是正整数'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('每页数量必须在1-50之间')
+];
+
+// @desc    获取用户的粉丝列表
+// @route   GET /api/users/:id/followers
+// @access  Public
+router.get('/:id/followers', followListValidation, optionalAuth, listFollows('follower'));
+
+// @desc    获取用户的关注列表
+// @route   GET /api/users/:id/following
+// @access  Public
+router.get('/:id/following', followListValidation, optionalAuth, listFollows('following'));
+
 // @desc    获取排行榜
 // @route   GET /api/users/leaderboard
 // @access  Public
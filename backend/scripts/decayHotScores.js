@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// 导入模型
+const Confession = require('../models/Confession');
+
+// 按发布时间衰减告解的热度分数
+// 热度分数在投票、评论、浏览时更新，没有新互动的告解需要定时重新计算
+// 建议由 cron 等定时任务每10分钟运行一次：npm run decay-hot
+const runDecay = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cyber-confessional', {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+
+        const result = await Confession.decayHotScores();
+        console.log(`热度分数已更新：重新计算 ${result.updated} 条，超出时间窗口置零 ${result.expired} 条`);
+
+        await mongoose.connection.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('更新热度分数失败:', error);
+        process.exit(1);
+    }
+};
+
+// 运行脚本
+if (require.main === module) {
+    runDecay();
+}
+
+module.exports = {
+    runDecay
+};
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// 导入模型
+require('../models/User');
+require('../models/Confession');
+require('../models/Notification');
+const { sendDigests } = require('../utils/digest');
+
+// 发送通知摘要邮件
+// 建议由 cron 等定时任务每天运行一次：npm run digest
+const runDigest = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cyber-confessional', {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+
+        const result = await sendDigests();
+        console.log(`通知摘要发送完成：发送 ${result.sent} 封，无新动态 ${result.skipped} 人，失败 ${result.failed} 封`);
+
+        await mongoose.connection.close();
+        process.exit(result.failed > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('发送通知摘要失败:', error);
+        process.exit(1);
+    }
+};
+
+// 运行脚本
+if (require.main === module) {
+    runDigest();
+}
+
+module.exports = {
+    runDigest
+};
@@ -0,0 +1,9 @@
+const { generateVapidKeys } = require('../utils/webPush');
+
+// 生成 Web Push 使用的 VAPID 密钥，输出可直接写入 .env
+// 密钥更换后浏览器需要重新订阅
+const { publicKey, privateKey } = generateVapidKeys();
+
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+console.log('VAPID_SUBJECT=mailto:admin@cyber-confessional.com');
@@ -13,6 +13,7 @@ const authRoutes = require('./routes/auth');
 const confessionRoutes = require('./routes/confessions');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
+const notificationRoutes = require('./routes/notifications');
 
 // 导入中间件
 const errorHandler = require('./middleware/errorHandler');
@@ -90,6 +91,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/confessions', confessionRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // API文档路由
 app.get('/api', (req, res) => {
@@ -100,7 +102,8 @@ app.get('/api', (req, res) => {
             auth: '/api/auth',
             confessions: '/api/confessions',
             users: '/api/users',
-            admin: '/api/admin'
+            admin: '/api/admin',
+            notifications: '/api/notifications'
         }
     });
 });
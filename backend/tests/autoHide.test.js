@@ -0,0 +1,107 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+
+// 举报和评论查询用 spy 替换，不需要数据库
+const Confession = require('../models/Confession');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const { applyAutoHidePolicy } = require('../utils/autoHide');
+const { openStream } = require('../utils/liveUpdates');
+
+const createReports = (count, reputation = 10) => Array.from({ length: count }, () => ({
+    reporter: { stats: { reputation } }
+}));
+
+// 订阅实时事件流，收集推送的事件
+const subscribe = () => {
+    const req = new EventEmitter();
+    req.ip = '127.0.0.1';
+    const events = [];
+    const res = {
+        set: () => {},
+        flushHeaders: () => {},
+        write: (chunk) => {
+            const match = chunk.match(/^event: (\w+)\ndata: (.+)\n\n$/);
+            if (match) {
+                events.push({ type: match[1], payload: JSON.parse(match[2]) });
+            }
+        }
+    };
+    openStream(req, res);
+    return { events, close: () => req.emit('close') };
+};
+
+let confession;
+let comments;
+
+beforeEach(() => {
+    confession = new Confession({ content: '这是一条用于测试的告解内容', status: 'approved', commentsCount: 2 });
+    comments = [
+        new Comment({ content: '第一条评论', confession: confession._id, author: new mongoose.Types.ObjectId(), status: 'approved' }),
+        new Comment({ content: '第二条评论', confession: confession._id, author: new mongoose.Types.ObjectId(), status: 'approved' })
+    ];
+
+    // 既可以直接 await，也支持 .select()，与 Mongoose 查询一致
+    jest.spyOn(Confession, 'findById').mockImplementation((id) => {
+        const result = Promise.resolve(confession._id.equals(id) ? confession : null);
+        result.select = () => result;
+        return result;
+    });
+    jest.spyOn(confession, 'save').mockResolvedValue(confession);
+    comments.forEach(comment => jest.spyOn(comment, 'save').mockResolvedValue(comment));
+    jest.spyOn(Comment, 'countDocuments').mockImplementation(async (filter) => comments.filter(comment =>
+        comment.confession.equals(filter.confession) && comment.status === filter.status
+    ).length);
+    // 作者不存在时不发送通知邮件
+    jest.spyOn(User, 'findById').mockResolvedValue(null);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const mockReports = (reports) => {
+    jest.spyOn(Report, 'find').mockReturnValue({ populate: async () => reports });
+};
+
+describe('applyAutoHidePolicy', () => {
+    test('自动隐藏评论后重新统计告解的评论数并推送', async () => {
+        mockReports(createReports(3));
+        const stream = subscribe();
+
+        const hidden = await applyAutoHidePolicy('comment', comments[0]);
+        stream.close();
+
+        expect(hidden).toBe(true);
+        expect(comments[0].status).toBe('hidden');
+        expect(comments[0].moderation.autoHidden).toBe(true);
+        expect(confession.commentsCount).toBe(1);
+        expect(confession.save).toHaveBeenCalled();
+        expect(stream.events).toContainEqual({
+            type: 'comments',
+            payload: { confessionId: confession._id.toString(), commentsCount: 1 }
+        });
+    });
+
+    test('举报权重未达到阈值时不隐藏', async () => {
+        mockReports(createReports(2));
+
+        const hidden = await applyAutoHidePolicy('comment', comments[0]);
+
+        expect(hidden).toBe(false);
+        expect(comments[0].status).toBe('approved');
+        expect(comments[0].save).not.toHaveBeenCalled();
+        expect(confession.commentsCount).toBe(2);
+    });
+
+    test('自动隐藏告解时不统计评论数', async () => {
+        mockReports(createReports(3));
+
+        const hidden = await applyAutoHidePolicy('confession', confession);
+
+        expect(hidden).toBe(true);
+        expect(confession.status).toBe('hidden');
+        expect(Comment.countDocuments).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// 查询用假对象代替，不需要数据库
+const { findPage } = require('../utils/cursor');
+
+const createDocs = (count) => Array.from({ length: count }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    createdAt: new Date(Date.UTC(2024, 0, count - index)),
+    likes: index
+}));
+
+// 记录每次查询的条件，返回固定的结果
+const createQuery = (docs, filters) => (filter) => {
+    filters.push(filter);
+    const query = Promise.resolve(docs);
+    query.sort = () => query;
+    query.limit = () => query;
+    query.skip = () => query;
+    return query;
+};
+
+describe('findPage', () => {
+    const docs = createDocs(3);
+    let filters;
+
+    beforeEach(() => {
+        filters = [];
+    });
+
+    const firstPage = (options) => findPage(createQuery(docs, filters), { limit: 2, ...options });
+
+    test('使用同样的排序和筛选时按游标查询下一页', async () => {
+        const options = { filter: { status: 'approved' }, sort: { createdAt: -1 } };
+        const { pagination } = await firstPage(options);
+
+        expect(pagination.hasMore).toBe(true);
+        expect(pagination.nextCursor).toEqual(expect.any(String));
+
+        await firstPage({ ...options, cursor: pagination.nextCursor });
+        expect(filters[1].$and[0]).toEqual({ status: 'approved' });
+        expect(filters[1].$and[1].$or).toHaveLength(2);
+    });
+
+    test('更换排序后使用旧游标视为无效', async () => {
+        const { pagination } = await firstPage({ sort: { createdAt: -1 } });
+
+        await expect(firstPage({ sort: { likes: -1 }, cursor: pagination.nextCursor }))
+            .rejects.toMatchObject({ statusCode: 400, message: '分页游标无效' });
+        await expect(firstPage({ sort: { createdAt: 1 }, cursor: pagination.nextCursor }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('更换筛选条件后使用旧游标视为无效', async () => {
+        const sort = { createdAt: -1 };
+        const { pagination } = await firstPage({ filter: { status: 'approved' }, sort });
+
+        await expect(firstPage({ filter: { status: 'hidden' }, sort, cursor: pagination.nextCursor }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('传入 key 时按 key 绑定游标，忽略随请求变化的筛选条件', async () => {
+        const sort = { createdAt: -1 };
+        const key = { category: 'work' };
+        const { pagination } = await firstPage({ filter: { expiresAt: { $gt: new Date(1) } }, sort, key });
+
+        await expect(firstPage({ filter: { expiresAt: { $gt: new Date(2) } }, sort, key, cursor: pagination.nextCursor }))
+            .resolves.toMatchObject({ items: docs.slice(0, 2) });
+        await expect(firstPage({ sort, key: { category: 'family' }, cursor: pagination.nextCursor }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+});
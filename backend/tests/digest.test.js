@@ -0,0 +1,211 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// 摘要邮件通过 file 传输写入临时目录，模型查询用 spy 替换，不需要数据库
+const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-test-'));
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_DIR = mailDir;
+process.env.UNSUBSCRIBE_SECRET = 'digest-test-secret';
+
+const User = require('../models/User');
+const Confession = require('../models/Confession');
+const Notification = require('../models/Notification');
+const { sendDigests } = require('../utils/digest');
+const { verifyUnsubscribeToken } = require('../utils/unsubscribe');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const now = new Date('2024-06-15T08:00:00Z');
+const ago = (ms) => new Date(now.getTime() - ms);
+
+let users;
+let notifications;
+let featured;
+
+const createUser = (username, frequency, digestSentAt = null) => ({
+    _id: new mongoose.Types.ObjectId(),
+    username,
+    email: `${username}@example.com`,
+    frequency,
+    digestSentAt
+});
+
+const createNotification = (recipient, createdAt, excerpt = '一条评论') => ({
+    recipient: recipient._id,
+    createdAt,
+    toJSON: () => ({ message: '有人评论了你的告解', data: { excerpt } })
+});
+
+// 按查询条件中的频率和到期时间筛选用户，与数据库的行为一致
+const matchesUserQuery = (user, filter) => {
+    if (user.frequency !== filter['preferences.emailDigest']) {
+        return false;
+    }
+    const dueBefore = filter.$or[1].digestSentAt.$lte;
+    return user.digestSentAt === null || user.digestSentAt <= dueBefore;
+};
+
+const notificationsFor = (filter) => notifications.filter(notification =>
+    notification.recipient.equals(filter.recipient) && notification.createdAt > filter.createdAt.$gt
+);
+
+const readMails = () => fs.readdirSync(mailDir)
+    .map(file => JSON.parse(fs.readFileSync(path.join(mailDir, file), 'utf8')));
+
+const mailTo = (user) => readMails().find(mail => mail.to === user.email);
+
+beforeEach(() => {
+    users = [];
+    notifications = [];
+    featured = [];
+    fs.rmSync(mailDir, { recursive: true, force: true });
+
+    jest.spyOn(User, 'find').mockImplementation((filter) => ({
+        select: () => ({
+            cursor: async function* () {
+                yield* users.filter(user => matchesUserQuery(user, filter));
+            }
+        })
+    }));
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    jest.spyOn(Confession, 'find').mockImplementation((filter) => ({
+        sort: () => ({
+            select: async () => featured.filter(confession => confession.featuredAt > filter.featuredAt.$gt)
+        })
+    }));
+
+    jest.spyOn(Notification, 'find').mockImplementation((filter) => ({
+        sort: () => ({
+            limit: async (count) => notificationsFor(filter).slice(0, count)
+        })
+    }));
+    jest.spyOn(Notification, 'countDocuments').mockImplementation(async (filter) => notificationsFor(filter).length);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    fs.rmSync(mailDir, { recursive: true, force: true });
+});
+
+describe('sendDigests', () => {
+    test('按频率和上次发送时间决定是否到期', async () => {
+        const neverSent = createUser('never', 'daily');
+        const dailyDue = createUser('dailydue', 'daily', ago(23.5 * HOUR));
+        const dailyRecent = createUser('dailyrecent', 'daily', ago(20 * HOUR));
+        const weeklyDue = createUser('weeklydue', 'weekly', ago(7 * DAY));
+        const weeklyRecent = createUser('weeklyrecent', 'weekly', ago(3 * DAY));
+        users = [neverSent, dailyDue, dailyRecent, weeklyDue, weeklyRecent];
+        notifications = users.map(user => createNotification(user, ago(HOUR)));
+
+        const result = await sendDigests({ now });
+
+        expect(result).toEqual({ sent: 3, skipped: 0, failed: 0 });
+        expect(readMails().map(mail => mail.to).sort()).toEqual(
+            [neverSent, dailyDue, weeklyDue].map(user => user.email).sort()
+        );
+        expect(mailTo(weeklyDue).subject).toBe('赛博告解室 - 本周动态摘要');
+        expect(mailTo(dailyDue).subject).toBe('赛博告解室 - 今日动态摘要');
+
+        const updatedIds = User.updateOne.mock.calls.map(([filter]) => filter._id);
+        expect(updatedIds).toEqual(expect.arrayContaining([neverSent._id, dailyDue._id, weeklyDue._id]));
+        expect(User.updateOne).toHaveBeenCalledWith({ _id: neverSent._id }, { $set: { digestSentAt: now } });
+    });
+
+    test('只汇总上次发送之后的通知，没有内容时跳过但推进发送时间', async () => {
+        const active = createUser('active', 'daily', ago(DAY));
+        const quiet = createUser('quiet', 'daily', ago(DAY));
+        users = [active, quiet];
+        notifications = [
+            createNotification(active, ago(2 * HOUR), '新的评论'),
+            createNotification(active, ago(2 * DAY), '旧的评论'),
+            createNotification(quiet, ago(3 * DAY), '已经汇总过的评论')
+        ];
+
+        const result = await sendDigests({ now });
+
+        expect(result).toEqual({ sent: 1, skipped: 1, failed: 0 });
+        const mail = mailTo(active);
+        expect(mail.text).toContain('1 条未读动态');
+        expect(mail.text).toContain('新的评论');
+        expect(mail.text).not.toContain('旧的评论');
+        expect(mailTo(quiet)).toBeUndefined();
+        expect(User.updateOne).toHaveBeenCalledWith({ _id: quiet._id }, { $set: { digestSentAt: now } });
+    });
+
+    test('精选告解没有标题时使用正文摘要', async () => {
+        const reader = createUser('reader', 'weekly', ago(7 * DAY));
+        users = [reader];
+        featured = [
+            { title: '有标题的告解', content: '正文', featuredAt: ago(DAY) },
+            { title: '', content: '没有标题的告解正文'.repeat(10), featuredAt: ago(2 * DAY) },
+            { title: '上次发送前的精选', content: '正文', featuredAt: ago(8 * DAY) }
+        ];
+
+        const result = await sendDigests({ now });
+
+        expect(result).toEqual({ sent: 1, skipped: 0, failed: 0 });
+        const mail = mailTo(reader);
+        expect(mail.text).toContain('- 有标题的告解');
+        expect(mail.text).toContain(`- ${Notification.excerpt(featured[1].content)}`);
+        expect(mail.html).toContain(Notification.excerpt(featured[1].content));
+        expect(mail.text).not.toContain('上次发送前的精选');
+        expect(mail.text).not.toContain('- undefined');
+    });
+
+    test('退订链接的令牌可以验证为收件人，篡改后无效', async () => {
+        const reader = createUser('reader', 'daily');
+        users = [reader];
+        notifications = [createNotification(reader, ago(HOUR))];
+
+        await sendDigests({ now });
+
+        const mail = mailTo(reader);
+        const [, url] = mail.headers['List-Unsubscribe'].match(/^<(.+)>$/);
+        const token = url.split('/').pop();
+
+        expect(mail.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+        expect(mail.html).toContain(url);
+        expect(verifyUnsubscribeToken(token)).toBe(reader._id.toString());
+        expect(verifyUnsubscribeToken(`${new mongoose.Types.ObjectId()}.${token.split('.')[1]}`)).toBeNull();
+        expect(verifyUnsubscribeToken(`${token}x`)).toBeNull();
+    });
+
+    test('转义邮件HTML中的用户名和通知内容', async () => {
+        const reader = createUser('<b>reader</b>', 'daily');
+        users = [reader];
+        notifications = [createNotification(reader, ago(HOUR), '<script>alert(1)</script>')];
+
+        await sendDigests({ now });
+
+        const mail = mailTo(reader);
+        expect(mail.html).toContain('&lt;b&gt;reader&lt;/b&gt;');
+        expect(mail.html).toContain('&lt;script&gt;');
+        expect(mail.html).not.toContain('<script>');
+    });
+
+    test('单个用户失败时计入 failed 并继续处理其他用户', async () => {
+        const broken = createUser('broken', 'daily');
+        const reader = createUser('reader', 'daily');
+        users = [broken, reader];
+        notifications = [createNotification(broken, ago(HOUR)), createNotification(reader, ago(HOUR))];
+        Notification.countDocuments.mockImplementation(async (filter) => {
+            if (filter.recipient.equals(broken._id)) {
+                throw new Error('查询失败');
+            }
+            return notificationsFor(filter).length;
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const result = await sendDigests({ now });
+
+        expect(result).toEqual({ sent: 1, skipped: 0, failed: 1 });
+        expect(mailTo(reader)).toBeDefined();
+        expect(User.updateOne).not.toHaveBeenCalledWith({ _id: broken._id }, expect.anything());
+    });
+});
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const http = require('http');
+
+// 推送服务用本地 HTTP 服务代替，订阅查询用 spy 替换，不需要数据库
+const PushSubscription = require('../models/PushSubscription');
+const webPush = require('../utils/webPush');
+
+const vapidKeys = webPush.generateVapidKeys();
+
+// 模拟浏览器生成的订阅密钥
+const createClientKeys = () => {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return {
+        ecdh,
+        keys: {
+            p256dh: ecdh.getPublicKey().toString('base64url'),
+            auth: crypto.randomBytes(16).toString('base64url')
+        }
+    };
+};
+
+// 按 RFC 8291 解密请求体，相当于浏览器收到推送后的处理
+const decryptPayload = (body, { ecdh, keys }) => {
+    const salt = body.subarray(0, 16);
+    const recordSize = body.readUInt32BE(16);
+    const keyLength = body.readUInt8(20);
+    const serverPublicKey = body.subarray(21, 21 + keyLength);
+    const ciphertext = body.subarray(21 + keyLength);
+
+    const clientPublicKey = ecdh.getPublicKey();
+    const sharedSecret = ecdh.computeSecret(serverPublicKey);
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientPublicKey, serverPublicKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, Buffer.from(keys.auth, 'base64url'), keyInfo, 32));
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+    decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+    const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, ciphertext.length - 16)), decipher.final()]);
+
+    return { recordSize, keyLength, plaintext };
+};
+
+// 校验 VAPID 授权头的签名和声明
+const verifyVapid = (authorization) => {
+    const [, token, publicKey] = authorization.match(/^vapid t=([^,]+), k=(.+)$/);
+    const [header, claims, signature] = token.split('.');
+    const rawKey = Buffer.from(publicKey, 'base64url');
+    const key = crypto.createPublicKey({
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: rawKey.subarray(1, 33).toString('base64url'),
+            y: rawKey.subarray(33, 65).toString('base64url')
+        },
+        format: 'jwk'
+    });
+
+    const valid = crypto.verify(
+        'sha256',
+        Buffer.from(`${header}.${claims}`),
+        { key, dsaEncoding: 'ieee-p1363' },
+        Buffer.from(signature, 'base64url')
+    );
+
+    return {
+        valid,
+        publicKey,
+        header: JSON.parse(Buffer.from(header, 'base64url')),
+        claims: JSON.parse(Buffer.from(claims, 'base64url'))
+    };
+};
+
+let server;
+let baseUrl;
+let requests;
+
+// 路径决定返回的状态码，如 /push/410
+const startServer = () => new Promise((resolve) => {
+    server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+            res.statusCode = parseInt(req.url.split('/').pop());
+            res.end();
+        });
+    });
+    server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+});
+
+const createSubscription = (status, failureCount = 0) => {
+    const client = createClientKeys();
+    return {
+        client,
+        endpoint: `${baseUrl}/push/${status}`,
+        keys: client.keys,
+        failureCount,
+        deleteOne: jest.fn().mockResolvedValue(),
+        updateOne: jest.fn().mockResolvedValue()
+    };
+};
+
+beforeAll(async () => {
+    process.env.VAPID_PUBLIC_KEY = vapidKeys.publicKey;
+    process.env.VAPID_PRIVATE_KEY = vapidKeys.privateKey;
+    process.env.VAPID_SUBJECT = 'mailto:test@example.com';
+    await startServer();
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    requests = [];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const mockSubscriptions = (subscriptions) => {
+    jest.spyOn(PushSubscription, 'find').mockResolvedValue(subscriptions);
+};
+
+describe('sendPushToUser', () => {
+    const message = { title: '有人回复了你', body: '一条回复', url: '/?confession=abc', tag: 'reply-abc' };
+
+    test('发送 aes128gcm 加密的消息和有效的 VAPID 授权头', async () => {
+        const subscription = createSubscription(201);
+        mockSubscriptions([subscription]);
+
+        await webPush.sendPushToUser('user-id', message, { topic: 'reply-abc', ttl: 60 });
+
+        expect(PushSubscription.find).toHaveBeenCalledWith({ user: 'user-id' });
+        expect(requests).toHaveLength(1);
+        const [request] = requests;
+
+        expect(request.headers['content-encoding']).toBe('aes128gcm');
+        expect(request.headers['content-type']).toBe('application/octet-stream');
+        expect(request.headers.ttl).toBe('60');
+        expect(request.headers.topic).toBe('reply-abc');
+
+        const { recordSize, keyLength, plaintext } = decryptPayload(request.body, subscription.client);
+        expect(recordSize).toBe(4096);
+        expect(keyLength).toBe(65);
+        // 单条记录以 0x02 分隔符结尾
+        expect(plaintext[plaintext.length - 1]).toBe(2);
+        expect(JSON.parse(plaintext.subarray(0, -1).toString())).toEqual(message);
+
+        const vapid = verifyVapid(request.headers.authorization);
+        expect(vapid.valid).toBe(true);
+        expect(vapid.publicKey).toBe(vapidKeys.publicKey);
+        expect(vapid.header).toEqual({ typ: 'JWT', alg: 'ES256' });
+        expect(vapid.claims.aud).toBe(baseUrl);
+        expect(vapid.claims.sub).toBe('mailto:test@example.com');
+        expect(vapid.claims.exp).toBeGreaterThan(Date.now() / 1000);
+
+        expect(subscription.updateOne).toHaveBeenCalledWith({
+            $set: { lastSentAt: expect.any(Date), failureCount: 0 }
+        });
+        expect(subscription.deleteOne).not.toHaveBeenCalled();
+    });
+
+    test('推送服务返回 404 或 410 时删除订阅', async () => {
+        const missing = createSubscription(404);
+        const gone = createSubscription(410);
+        mockSubscriptions([missing, gone]);
+
+        await webPush.sendPushToUser('user-id', message);
+
+        expect(requests).toHaveLength(2);
+        expect(missing.deleteOne).toHaveBeenCalled();
+        expect(gone.deleteOne).toHaveBeenCalled();
+        expect(missing.updateOne).not.toHaveBeenCalled();
+        expect(gone.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('其他失败时增加失败次数，连续失败过多时删除订阅', async () => {
+        const failing = createSubscription(500);
+        const exhausted = createSubscription(429, 4);
+        mockSubscriptions([failing, exhausted]);
+
+        await webPush.sendPushToUser('user-id', message);
+
+        expect(failing.updateOne).toHaveBeenCalledWith({ $inc: { failureCount: 1 } });
+        expect(failing.deleteOne).not.toHaveBeenCalled();
+        expect(exhausted.deleteOne).toHaveBeenCalled();
+        expect(exhausted.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('推送服务不可达时同样计为失败', async () => {
+        const unreachable = createSubscription(201);
+        unreachable.endpoint = 'http://127.0.0.1:1/push/201';
+        mockSubscriptions([unreachable]);
+
+        await webPush.sendPushToUser('user-id', message);
+
+        expect(unreachable.updateOne).toHaveBeenCalledWith({ $inc: { failureCount: 1 } });
+    });
+});
+
+describe('isAllowedEndpoint', () => {
+    afterEach(() => {
+        delete process.env.PUSH_SERVICE_HOSTS;
+    });
+
+    test('接受已知推送服务的 https 地址', () => {
+        expect(webPush.isAllowedEndpoint('https://fcm.googleapis.com/fcm/send/abc')).toBe(true);
+        expect(webPush.isAllowedEndpoint('https://updates.push.services.mozilla.com/wpush/v2/abc')).toBe(true);
+        expect(webPush.isAllowedEndpoint('https://wns2-par02p.notify.windows.com/w/?token=abc')).toBe(true);
+        expect(webPush.isAllowedEndpoint('https://web.push.apple.com/abc')).toBe(true);
+    });
+
+    test('拒绝非 https、内网和仿冒的地址', () => {
+        expect(webPush.isAllowedEndpoint('http://fcm.googleapis.com/fcm/send/abc')).toBe(false);
+        expect(webPush.isAllowedEndpoint('https://fcm.googleapis.com:8443/fcm/send/abc')).toBe(false);
+        expect(webPush.isAllowedEndpoint('https://fcm.googleapis.com.attacker.example/abc')).toBe(false);
+        expect(webPush.isAllowedEndpoint('https://user@fcm.googleapis.com/abc')).toBe(false);
+        expect(webPush.isAllowedEndpoint('https://127.0.0.1/abc')).toBe(false);
+        expect(webPush.isAllowedEndpoint('https://localhost/abc')).toBe(false);
+        expect(webPush.isAllowedEndpoint(`${baseUrl}/push/201`)).toBe(false);
+        expect(webPush.isAllowedEndpoint('not a url')).toBe(false);
+    });
+
+    test('可以通过 PUSH_SERVICE_HOSTS 追加推送服务', () => {
+        process.env.PUSH_SERVICE_HOSTS = 'push.example.org, other.example.net';
+        expect(webPush.isAllowedEndpoint('https://push.example.org/abc')).toBe(true);
+        expect(webPush.isAllowedEndpoint('https://eu.other.example.net/abc')).toBe(true);
+    });
+});
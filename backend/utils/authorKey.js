@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+// 匿名告解作者密钥工具
+// key: 单向HMAC，用于按当前用户查询其告解，数据库泄露也无法反推出用户
+// seal: 使用服务端密钥加密的用户ID，仅服务端可解密（例如用于发送通知）
+
+const getSecret = () => {
+    const secret = process.env.AUTHOR_KEY_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('未配置 AUTHOR_KEY_SECRET 或 JWT_SECRET');
+    }
+    return secret;
+};
+
+const getCipherKey = () => crypto.createHash('sha256').update(`seal:${getSecret()}`).digest();
+
+// 生成作者查询密钥
+const createAuthorKey = (userId) => {
+    return crypto
+        .createHmac('sha256', getSecret())
+        .update(String(userId))
+        .digest('hex');
+};
+
+// 加密作者ID
+const sealAuthor = (userId) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getCipherKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(userId), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [iv, tag, encrypted].map(part => part.toString('base64')).join('.');
+};
+
+// 解密作者ID，失败时返回null
+const openAuthor = (sealed) => {
+    if (!sealed) return null;
+
+    try {
+        const [iv, tag, encrypted] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', getCipherKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } catch (error) {
+        console.error('解析作者密钥失败:', error.message);
+        return null;
+    }
+};
+
+module.exports = {
+    createAuthorKey,
+    sealAuthor,
+    openAuthor
+};
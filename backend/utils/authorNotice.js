@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { sendMail, escapeHtml } = require('./mailer');
+const { buildUnsubscribe } = require('./unsubscribe');
+
+// 向告解或评论的作者发送通知邮件（匿名告解会解密发布者）
+// 作者关闭了邮件通知或为游客时不发送
+const notifyContentAuthor = async (targetType, target, { subject, text }) => {
+    const User = mongoose.model('User');
+    let ownerId = target.author;
+
+    if (targetType === 'confession') {
+        const Confession = mongoose.model('Confession');
+        const confession = await Confession.findById(target._id).select('+ownerSeal');
+        ownerId = confession ? confession.getOwnerId() : null;
+    }
+
+    if (!ownerId) {
+        return;
+    }
+
+    const owner = await User.findById(ownerId);
+    if (!owner || owner.isGuest || !owner.preferences.emailNotifications) {
+        return;
+    }
+
+    const label = targetType === 'confession' ? '告解' : '评论';
+    const excerpt = target.content.length > 50 ? `${target.content.slice(0, 50)}...` : target.content;
+    // 摘要是用户内容，用函数替换避免其中的 $& 等被当作替换模式
+    const body = text.replace('{label}', label).replace('{excerpt}', () => excerpt);
+    const unsubscribe = buildUnsubscribe(owner._id);
+
+    await sendMail({
+        to: owner.email,
+        subject: `赛博告解室 - ${subject.replace('{label}', label)}`,
+        text: `${owner.username}，您好：\n\n${body}${unsubscribe.text}`,
+        html: `<p>${escapeHtml(owner.username)}，您好：</p><p>${escapeHtml(body)}</p>${unsubscribe.html}`,
+        headers: unsubscribe.headers
+    });
+};
+
+module.exports = {
+    notifyContentAuthor
+};
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { notifyContentAuthor } = require('./authorNotice');
+
+// 举报自动隐藏策略
+// 时间窗口内不同举报人的权重之和达到阈值时，将内容设为 hidden 等待人工审核
+// 举报人权重按声望计算：新用户（初始声望10）为1，最低0.5，最高2
+
+const BASE_REPUTATION = 10;
+const MIN_WEIGHT = 0.5;
+const MAX_WEIGHT = 2;
+
+const getAutoHidePolicy = () => {
+    const threshold = parseFloat(process.env.AUTO_HIDE_THRESHOLD);
+    const windowHours = parseFloat(process.env.AUTO_HIDE_WINDOW_HOURS);
+
+    return {
+        threshold: Number.isNaN(threshold) ? 3 : threshold, // 设为0关闭自动隐藏
+        windowMs: (Number.isNaN(windowHours) ? 24 : windowHours) * 60 * 60 * 1000
+    };
+};
+
+// 计算举报人权重
+const getReporterWeight = (reputation = 0) => {
+    return Math.min(MAX_WEIGHT, Math.max(MIN_WEIGHT, reputation / BASE_REPUTATION));
+};
+
+// 举报后检查是否需要自动隐藏，返回是否已隐藏
+const applyAutoHidePolicy = async (targetType, target) => {
+    const { threshold, windowMs } = getAutoHidePolicy();
+    if (threshold <= 0 || target.status !== 'approved') {
+        return false;
+    }
+
+    const Report = mongoose.model('Report');
+    const reports = await Report.find({
+        targetType,
+        target: target._id,
+        state: 'open',
+        createdAt: { $gte: new Date(Date.now() - windowMs) }
+    }).populate('reporter', 'stats.reputation');
+
+    // 举报记录按举报人唯一，直接累加权重
+    const score = reports.reduce((sum, report) => {
+        return report.reporter ? sum + getReporterWeight(report.reporter.stats.reputation) : sum;
+    }, 0);
+
+    if (score < threshold) {
+        return false;
+    }
+
+    target.status = 'hidden';
+    target.moderation.autoHidden = true;
+    target.moderation.autoHiddenAt = new Date();
+    target.moderation.moderationReason = '举报过多，已自动隐藏，等待审核';
+    await target.save();
+
+    // 告解的评论数只统计已公开的评论，隐藏评论后重新统计（同时更新热度并推送实时评论数）
+    if (targetType === 'comment') {
+        const Confession = mongoose.model('Confession');
+        const confession = await Confession.findById(target.confession);
+        if (confession) {
+            await confession.updateCommentCount();
+        }
+    }
+
+    try {
+        await notifyContentAuthor(targetType, target, {
+            subject: '您的{label}已被暂时隐藏',
+            text: '您的{label}「{excerpt}」收到了多位用户的举报，已被暂时隐藏，等待版主审核。审核通过后将自动恢复显示。'
+        });
+    } catch (error) {
+        console.error('发送自动隐藏通知失败:', error.message);
+    }
+
+    return true;
+};
+
+module.exports = {
+    applyAutoHidePolicy,
+    getAutoHidePolicy,
+    getReporterWeight
+};
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const xss = require('xss');
+
+// 内容过滤引擎
+// 按管理员配置的关键词/正则检查告解和评论，命中规则后按规则的处理方式：
+// reject 拒绝发布，mask 替换为 ***，pending 转入待审核
+// 多条规则同时命中时取最严格的处理：reject > pending > mask
+
+const CACHE_TTL = 60 * 1000; // 规则缓存1分钟，规则变更时主动清除
+const MASK = '***';
+
+let cache = null;
+
+// 去除HTML标签（前端渲染时会再做转义，这里保留普通文本原样）
+// 只移除形如标签的片段，像「1 < 2」「<3」这样的文本不受影响
+const stripTags = (text) => xss(text, {
+    whiteList: {},
+    stripIgnoreTagBody: ['script', 'style'],
+    escapeHtml: (html) => html,
+    onIgnoreTag: (tag, html) => (/^[a-z][a-z0-9-]*$/i.test(tag) && html.endsWith('>') ? '' : html)
+});
+
+const loadFilters = async () => {
+    if (cache && Date.now() - cache.loadedAt < CACHE_TTL) {
+        return cache.filters;
+    }
+
+    const ContentFilter = mongoose.model('ContentFilter');
+    const filters = await ContentFilter.find({ enabled: true });
+    cache = { filters, loadedAt: Date.now() };
+    return filters;
+};
+
+// 清除规则缓存
+const invalidateFilterCache = () => {
+    cache = null;
+};
+
+// 检查并处理一组文本字段，如 { title, content }
+// 返回 { fields, action, hits }，action 为 null 表示未命中需拦截的规则
+const applyContentFilters = async (fields, targetType) => {
+    const filters = (await loadFilters()).filter(filter => filter.appliesTo.includes(targetType));
+    const result = { fields: {}, action: null, hits: [] };
+    const hitIds = new Set();
+
+    Object.entries(fields).forEach(([name, value]) => {
+        if (typeof value !== 'string') {
+            result.fields[name] = value;
+            return;
+        }
+
+        let text = stripTags(value);
+
+        filters.forEach(filter => {
+            const regex = filter.toRegExp();
+            if (!regex || !regex.test(text)) {
+                return;
+            }
+
+            if (!hitIds.has(filter.id)) {
+                hitIds.add(filter.id);
+                result.hits.push({ filter: filter._id, action: filter.action });
+            }
+
+            if (filter.action === 'mask') {
+                regex.lastIndex = 0;
+                text = text.replace(regex, MASK);
+            }
+        });
+
+        result.fields[name] = text;
+    });
+
+    const actions = result.hits.map(hit => hit.action);
+    if (actions.includes('reject')) {
+        result.action = 'reject';
+    } else if (actions.includes('pending')) {
+        result.action = 'pending';
+    }
+
+    return result;
+};
+
+module.exports = {
+    applyContentFilters,
+    invalidateFilterCache
+};
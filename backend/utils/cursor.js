@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// 游标分页
+// 游标记录上一页最后一条数据的排序字段值和 _id，base64url 编码后对客户端不透明
+// 下一页按 (排序字段..., _id) 的范围条件查询：翻页期间有新数据插入时不会重复或遗漏，深页也不需要 skip
+// 未传游标时仍支持 page 参数以兼容旧客户端，页码翻页在数据变化时可能重复或遗漏
+// 游标同时记录生成时的排序和筛选条件摘要，换了排序或筛选后继续使用旧游标视为无效
+
+const MAX_CURSOR_LENGTH = 1000;
+
+const invalidCursor = () => {
+    const error = new Error('分页游标无效');
+    error.statusCode = 400;
+    return error;
+};
+
+// 排序末尾追加 _id，保证顺序唯一
+const withTieBreaker = (sort) => {
+    const fields = Object.entries(sort).filter(([field]) => field !== '_id');
+    const direction = fields.length > 0 ? fields[fields.length - 1][1] : -1;
+    return { ...Object.fromEntries(fields), _id: sort._id || direction };
+};
+
+// 读取排序字段的值，兼容 Mongoose 文档和聚合结果
+const getValue = (doc, field) => {
+    if (typeof doc.get === 'function') {
+        return doc.get(field);
+    }
+    return field.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+};
+
+// 日期和 ObjectId 需要标注类型，解码后才能正确比较
+const encodeValue = (value) => {
+    if (value instanceof Date) return { d: value.toISOString() };
+    if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+    return value === undefined ? null : value;
+};
+
+// 游标绑定的排序和筛选条件：s 为排序字段及方向，f 为筛选条件的摘要
+const cursorMeta = (sort, filter = {}) => ({
+    s: Object.entries(sort).map(([field, direction]) => `${field}:${direction}`).join(','),
+    f: crypto.createHash('sha256').update(JSON.stringify(filter)).digest('base64url').slice(0, 16)
+});
+
+// 只接受基本类型和标注过的日期、ObjectId，防止游标中混入查询操作符
+const decodeValue = (value) => {
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+        return value;
+    }
+    if (value && typeof value.d === 'string' && Object.keys(value).length === 1) {
+        const date = new Date(value.d);
+        if (!isNaN(date)) return date;
+    }
+    if (value && typeof value.o === 'string' && Object.keys(value).length === 1 && mongoose.Types.ObjectId.isValid(value.o)) {
+        return new mongoose.Types.ObjectId(value.o);
+    }
+    throw invalidCursor();
+};
+
+// 生成指向 doc 之后的游标，meta 可附带需要在翻页间保持不变的参数
+const encodeCursor = (doc, sort, meta = {}) => {
+    const values = Object.keys(sort).map(field => encodeValue(getValue(doc, field)));
+    return Buffer.from(JSON.stringify({ ...meta, v: values })).toString('base64url');
+};
+
+// 解析游标，返回 { values, meta }；sort 字段数量与游标不符，或传入的 expected 与游标中的 meta 不一致时视为无效
+const decodeCursor = (cursor, sort, expected) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch (error) {
+        throw invalidCursor();
+    }
+
+    if (!payload || !Array.isArray(payload.v) || (sort && payload.v.length !== Object.keys(sort).length)) {
+        throw invalidCursor();
+    }
+
+    const { v, ...meta } = payload;
+    if (expected && Object.keys(expected).some(name => meta[name] !== expected[name])) {
+        throw invalidCursor();
+    }
+
+    return { values: v.map(decodeValue), meta };
+};
+
+// express-validator 自定义校验
+const isValidCursor = (cursor) => {
+    if (String(cursor).length > MAX_CURSOR_LENGTH) {
+        throw invalidCursor();
+    }
+    decodeCursor(cursor);
+    return true;
+};
+
+// 某字段“排在 value 之后”的条件，null 在升序中最前、降序中最后
+const afterValue = (field, value, direction) => {
+    if (value === null) {
+        return direction === 1 ? { [field]: { $ne: null } } : null;
+    }
+    if (direction === 1) {
+        return { [field]: { $gt: value } };
+    }
+    return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// 构造“排在游标之后”的查询条件：前面的字段相等且当前字段更靠后
+const afterCursor = (sort, values) => {
+    const fields = Object.keys(sort);
+    const branches = fields
+        .map((field, index) => {
+            const after = afterValue(field, values[index], sort[field]);
+            if (!after) return null;
+
+            const equals = fields.slice(0, index).map((previous, i) => ({ [previous]: values[i] }));
+            return { $and: [...equals, after] };
+        })
+        .filter(Boolean);
+
+    return { $or: branches };
+};
+
+// 查询一页数据
+// buildQuery(filter) 返回 Mongoose 查询，由调用方添加 populate、select 等
+// key 为决定列表内容的参数，用于绑定游标，默认取 filter；filter 含当前时间等每次请求都会变化的值时由调用方传入
+// 多取一条用于判断是否还有下一页，返回 { items, pagination: { page, limit, hasMore, nextCursor } }
+const findPage = async (buildQuery, { filter = {}, sort, limit = 20, cursor, page, key = filter }) => {
+    const order = withTieBreaker(sort);
+    const pageSize = parseInt(limit);
+    const meta = cursorMeta(order, key);
+
+    let query = filter;
+    if (cursor) {
+        const { values } = decodeCursor(cursor, order, meta);
+        query = { $and: [filter, afterCursor(order, values)] };
+    }
+
+    let documents = buildQuery(query).sort(order).limit(pageSize + 1);
+    if (!cursor && page > 1) {
+        documents = documents.skip((page - 1) * pageSize);
+    }
+    documents = await documents;
+
+    const hasMore = documents.length > pageSize;
+    const items = hasMore ? documents.slice(0, pageSize) : documents;
+
+    return {
+        items,
+        pagination: {
+            page: cursor ? null : parseInt(page || 1),
+            limit: pageSize,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(items[items.length - 1], order, meta) : null
+        }
+    };
+};
+
+module.exports = {
+    invalidCursor,
+    withTieBreaker,
+    cursorMeta,
+    encodeCursor,
+    decodeCursor,
+    isValidCursor,
+    afterCursor,
+    findPage
+};
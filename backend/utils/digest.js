@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const { sendMail, escapeHtml } = require('./mailer');
+const { buildUnsubscribe } = require('./unsubscribe');
+
+// 通知摘要邮件
+// 把上次发送以来的未读评论、回复通知和新的精选告解汇总为一封邮件
+// 由定时任务每天运行一次（scripts/digest.js），按用户选择的频率决定是否发送
+
+const PERIODS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+const GRACE = 60 * 60 * 1000; // 允许定时任务的运行时间有一小时误差
+const DIGEST_TYPES = ['comment', 'reply'];
+const MAX_ITEMS = 20;
+const MAX_FEATURED = 5;
+
+// 收集一个用户在 since 之后的摘要内容
+const collectDigest = async (user, since, featured) => {
+    const Notification = mongoose.model('Notification');
+
+    const query = {
+        recipient: user._id,
+        type: { $in: DIGEST_TYPES },
+        readAt: null,
+        createdAt: { $gt: since }
+    };
+
+    const [notifications, total] = await Promise.all([
+        Notification.find(query).sort({ createdAt: -1 }).limit(MAX_ITEMS),
+        Notification.countDocuments(query)
+    ]);
+
+    return {
+        items: notifications.map(notification => {
+            const { message, data } = notification.toJSON();
+            return { message, excerpt: data.excerpt || '' };
+        }),
+        total,
+        featured
+    };
+};
+
+// 生成邮件内容
+const renderDigest = (user, digest, frequency) => {
+    const appUrl = process.env.FRONTEND_URL || process.env.APP_URL || 'http://localhost:5000';
+    const unsubscribe = buildUnsubscribe(user._id);
+    const period = frequency === 'weekly' ? '本周' : '今日';
+
+    const textLines = [`${user.username}，您好：`, ''];
+    const htmlParts = [`<p>${escapeHtml(user.username)}，您好：</p>`];
+
+    if (digest.total > 0) {
+        textLines.push(`${period}您有 ${digest.total} 条未读动态：`);
+        htmlParts.push(`<p>${period}您有 ${digest.total} 条未读动态：</p><ul>`);
+        digest.items.forEach(item => {
+            textLines.push(`- ${item.message}${item.excerpt ? `：「${item.excerpt}」` : ''}`);
+            htmlParts.push(`<li>${escapeHtml(item.message)}${item.excerpt ? `：「${escapeHtml(item.excerpt)}」` : ''}</li>`);
+        });
+        if (digest.total > digest.items.length) {
+            textLines.push(`……以及另外 ${digest.total - digest.items.length} 条`);
+            htmlParts.push(`<li>……以及另外 ${digest.total - digest.items.length} 条</li>`);
+        }
+        htmlParts.push('</ul>');
+        textLines.push('');
+    }
+
+    if (digest.featured.length > 0) {
+        textLines.push(`${period}精选告解：`);
+        htmlParts.push(`<p>${period}精选告解：</p><ul>`);
+        digest.featured.forEach(confession => {
+            // 标题是可选的，没有标题时使用正文摘要
+            const label = confession.title || mongoose.model('Notification').excerpt(confession.content);
+            textLines.push(`- ${label}`);
+            htmlParts.push(`<li>${escapeHtml(label)}</li>`);
+        });
+        htmlParts.push('</ul>');
+        textLines.push('');
+    }
+
+    textLines.push(`前往查看：${appUrl}`);
+    htmlParts.push(`<p><a href="${appUrl}">前往赛博告解室查看</a></p>`);
+
+    return {
+        to: user.email,
+        subject: `赛博告解室 - ${period}动态摘要`,
+        text: textLines.join('\n') + unsubscribe.text,
+        html: htmlParts.join('') + unsubscribe.html,
+        headers: unsubscribe.headers
+    };
+};
+
+// 发送到期的摘要邮件，返回 { sent, skipped, failed }
+// now 可以由调用方传入，便于补发或测试
+const sendDigests = async ({ now = new Date() } = {}) => {
+    const User = mongoose.model('User');
+    const Confession = mongoose.model('Confession');
+    const result = { sent: 0, skipped: 0, failed: 0 };
+
+    // 精选告解对所有用户相同，按最长周期取一次，再按各用户的起始时间筛选
+    const featuredSince = new Date(now.getTime() - PERIODS.weekly);
+    const recentFeatured = await Confession.find({
+        featured: true,
+        status: 'approved',
+        featuredAt: { $gt: featuredSince }
+    })
+        .sort({ featuredAt: -1 })
+        .select('title content featuredAt');
+
+    for (const [frequency, period] of Object.entries(PERIODS)) {
+        const dueBefore = new Date(now.getTime() - period + GRACE);
+
+        const users = User.find({
+            role: { $ne: 'guest' },
+            status: 'active',
+            email: { $exists: true, $ne: null },
+            'preferences.emailNotifications': true,
+            'preferences.emailDigest': frequency,
+            $or: [{ digestSentAt: null }, { digestSentAt: { $lte: dueBefore } }]
+        }).select('username email digestSentAt').cursor();
+
+        for await (const user of users) {
+            const since = user.digestSentAt || new Date(now.getTime() - period);
+            const featured = recentFeatured
+                .filter(confession => confession.featuredAt > since)
+                .slice(0, MAX_FEATURED);
+
+            try {
+                const digest = await collectDigest(user, since, featured);
+
+                if (digest.total > 0 || digest.featured.length > 0) {
+                    await sendMail(renderDigest(user, digest, frequency));
+                    result.sent++;
+                } else {
+                    result.skipped++;
+                }
+
+                // 没有内容时也推进时间，下次只汇总新的动态
+                await User.updateOne({ _id: user._id }, { $set: { digestSentAt: now } });
+            } catch (error) {
+                result.failed++;
+                console.error('发送通知摘要失败:', error.message, { userId: user._id.toString() });
+            }
+        }
+    }
+
+    return result;
+};
+
+module.exports = {
+    sendDigests,
+    renderDigest
+};
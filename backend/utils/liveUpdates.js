@@ -0,0 +1,92 @@
+const { EventEmitter } = require('events');
+
+// 实时更新（Server-Sent Events）
+// 事件在进程内广播，多实例部署时需要改为经由 Redis 等消息通道转发
+// 事件类型：
+//   confession - 新公开的告解 { confessionId, confession }
+//   votes      - 投票数变化 { confessionId, votes }
+//   comment    - 新评论 { confessionId, comment }
+//   comments   - 评论数变化（新增或删除评论）{ confessionId, commentsCount }
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // 定期发送注释行，防止代理断开空闲连接
+
+// 每个连接都会长期占用一个套接字，限制连接总数和单个IP的连接数
+const MAX_CONNECTIONS = parseInt(process.env.SSE_MAX_CONNECTIONS) || 1000;
+const MAX_CONNECTIONS_PER_IP = parseInt(process.env.SSE_MAX_CONNECTIONS_PER_IP) || 10;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // 每个连接一个监听器，数量由上面的连接上限控制
+
+let totalConnections = 0;
+const connectionsByIp = new Map();
+
+// 广播事件
+const publish = (type, payload) => {
+    bus.emit('event', { type, payload });
+};
+
+// 把当前请求变为事件流；传入 confessionId 时只推送该告解的事件
+// 超过连接上限时返回错误响应
+const openStream = (req, res, { confessionId = null } = {}) => {
+    const ip = req.ip;
+    const ipConnections = connectionsByIp.get(ip) || 0;
+
+    if (totalConnections >= MAX_CONNECTIONS || ipConnections >= MAX_CONNECTIONS_PER_IP) {
+        res.set('Retry-After', '60');
+        return res.status(totalConnections >= MAX_CONNECTIONS ? 503 : 429).json({
+            success: false,
+            error: '实时连接数过多，请稍后再试',
+            code: 'STREAM_LIMIT'
+        });
+    }
+
+    totalConnections++;
+    connectionsByIp.set(ip, ipConnections + 1);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // 关闭 Nginx 缓冲
+    });
+    res.flushHeaders();
+
+    // compression 中间件会缓冲响应，写入后需要立即刷新
+    const write = (chunk) => {
+        res.write(chunk);
+        if (typeof res.flush === 'function') {
+            res.flush();
+        }
+    };
+
+    write('retry: 5000\n\n');
+
+    const onEvent = ({ type, payload }) => {
+        if (confessionId && payload.confessionId !== confessionId) {
+            return;
+        }
+        write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+    bus.on('event', onEvent);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        bus.off('event', onEvent);
+
+        totalConnections--;
+        const remaining = (connectionsByIp.get(ip) || 1) - 1;
+        if (remaining > 0) {
+            connectionsByIp.set(ip, remaining);
+        } else {
+            connectionsByIp.delete(ip);
+        }
+    });
+};
+
+module.exports = {
+    publish,
+    openStream
+};
@@ -0,0 +1,85 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// 邮件发送模块
+// 通过 MAIL_TRANSPORT 选择传输方式，可用 registerTransport 注册自定义实现（如SMTP）
+// 传输方式只需实现 send(message) 异步方法
+// console 传输会把验证、重置链接等令牌写进日志，生产环境必须显式配置 MAIL_TRANSPORT
+
+const transports = {
+    // 输出到控制台，适合本地开发
+    console: () => ({
+        async send(message) {
+            console.log('📧 邮件发送:', JSON.stringify(message, null, 2));
+            return { id: `console-${Date.now()}` };
+        }
+    }),
+
+    // 写入本地目录，每封邮件一个JSON文件，适合测试时检查邮件内容
+    file: () => {
+        const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'cyber-confessional-mail');
+        return {
+            async send(message) {
+                await fs.mkdir(dir, { recursive: true });
+                const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+                await fs.writeFile(
+                    path.join(dir, `${id}.json`),
+                    JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+                );
+                return { id };
+            }
+        };
+    }
+};
+
+let activeTransport = null;
+
+// 注册自定义传输方式
+const registerTransport = (name, factory) => {
+    transports[name] = factory;
+    activeTransport = null;
+};
+
+const getTransport = () => {
+    if (!activeTransport) {
+        if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+            throw new Error('生产环境未配置邮件传输方式 MAIL_TRANSPORT');
+        }
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        const factory = transports[name];
+        if (!factory) {
+            throw new Error(`未知的邮件传输方式: ${name}`);
+        }
+        activeTransport = factory();
+    }
+    return activeTransport;
+};
+
+// 转义插入邮件HTML的用户内容
+const escapeHtml = (text = '') => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// 发送邮件
+const sendMail = async ({ to, subject, text, html, headers }) => {
+    const message = {
+        from: process.env.MAIL_FROM || '赛博告解室 <no-reply@cyber-confessional.com>',
+        to,
+        subject,
+        text,
+        html,
+        headers
+    };
+
+    return getTransport().send(message);
+};
+
+module.exports = {
+    sendMail,
+    registerTransport,
+    escapeHtml
+};
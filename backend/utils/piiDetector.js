@@ -0,0 +1,92 @@
+// 个人信息检测
+// 手机号、座机、邮箱和身份证号直接替换为占位文本；疑似他人姓名无法可靠识别，只做标记交由版主复核
+
+const SURNAMES = '王李张刘陈杨黄赵吴周徐孙马朱胡郭何高林罗郑梁谢宋唐许韩冯邓曹彭曾肖田董袁潘于蒋蔡余杜叶程苏魏吕丁任沈姚卢姜崔钟谭陆汪范金石廖贾夏韦付方白邹孟熊秦邱江尹薛闫段雷侯龙史陶黎贺顾毛郝龚邵万钱严覃武戴莫孔向汤';
+
+const ID_WEIGHTS = [7, 9, 10, 5, 8, 4, 2, 1, 6, 3, 7, 9, 10, 5, 8, 4, 2];
+const ID_CHECK_CODES = '10X98765432';
+
+// 校验18位身份证号的校验码，避免把普通长数字误判为身份证号
+const isValidIdCard = (value) => {
+    const sum = ID_WEIGHTS.reduce((total, weight, index) => total + weight * parseInt(value[index], 10), 0);
+    return ID_CHECK_CODES[sum % 11] === value[17].toUpperCase();
+};
+
+// 按顺序检测，先处理较长的身份证号，避免其中的数字被当作手机号
+const DETECTORS = [
+    {
+        type: 'idCard',
+        label: '身份证号',
+        action: 'mask',
+        regex: /(?<![\dA-Za-z])[1-9]\d{5}(?:18|19|20)\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])\d{3}[\dXx](?![\dA-Za-z])/g,
+        validate: isValidIdCard
+    },
+    {
+        type: 'phone',
+        label: '手机号',
+        action: 'mask',
+        regex: /(?<!\d)(?:\+?86[-\s]?)?1[3-9]\d(?:[-\s]?\d{4}){2}(?!\d)/g
+    },
+    {
+        type: 'landline',
+        label: '电话号码',
+        action: 'mask',
+        regex: /(?<!\d)0\d{2,3}-\d{7,8}(?!\d)/g
+    },
+    {
+        type: 'email',
+        label: '邮箱',
+        action: 'mask',
+        regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+    },
+    {
+        type: 'name',
+        label: '疑似真实姓名',
+        action: 'flag',
+        regex: new RegExp(`(?:叫|名叫|名字是|姓名[:：]?)\\s*[${SURNAMES}][\\u4e00-\\u9fa5]{1,2}`, 'g')
+    }
+];
+
+// 检测一组文本字段，如 { title, content }
+// 返回处理后的字段和检测记录 [{ field, type, label, action, count }]，记录中不保存原文
+const detectPii = (fields) => {
+    const result = { fields: {}, detections: [] };
+
+    Object.entries(fields).forEach(([name, value]) => {
+        if (typeof value !== 'string') {
+            result.fields[name] = value;
+            return;
+        }
+
+        let text = value;
+
+        DETECTORS.forEach(detector => {
+            let count = 0;
+            text = text.replace(detector.regex, (match) => {
+                if (detector.validate && !detector.validate(match)) {
+                    return match;
+                }
+                count++;
+                return detector.action === 'mask' ? `[已隐藏${detector.label}]` : match;
+            });
+
+            if (count > 0) {
+                result.detections.push({
+                    field: name,
+                    type: detector.type,
+                    label: detector.label,
+                    action: detector.action === 'mask' ? 'masked' : 'flagged',
+                    count
+                });
+            }
+        });
+
+        result.fields[name] = text;
+    });
+
+    return result;
+};
+
+module.exports = {
+    detectPii
+};
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// 先审后发策略
+// mode: off 关闭；all 全部告解需审核；untrusted 低声望或新注册账户（含游客）需审核；categories 指定分类需审核
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 判断新告解是否需要先审核
+const requiresPremoderation = async (user, { category } = {}) => {
+    const Setting = mongoose.model('Setting');
+    const settings = await Setting.getValue('premoderation');
+
+    switch (settings.mode) {
+        case 'all':
+            return true;
+        case 'untrusted': {
+            if (user.isGuest) {
+                return true;
+            }
+            const reputation = user.stats ? user.stats.reputation : 0;
+            const accountAge = Date.now() - new Date(user.createdAt).getTime();
+            return reputation < settings.minReputation || accountAge < settings.minAccountAgeDays * DAY;
+        }
+        case 'categories':
+            return settings.categories.includes(category);
+        default:
+            return false;
+    }
+};
+
+module.exports = {
+    requiresPremoderation
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// 邮件退订链接
+// 令牌为 用户ID.签名，无需登录即可退订，也无需在数据库中保存令牌
+
+const getSecret = () => {
+    const secret = process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('未配置 UNSUBSCRIBE_SECRET 或 JWT_SECRET');
+    }
+    return secret;
+};
+
+const sign = (userId) => crypto
+    .createHmac('sha256', getSecret())
+    .update(`unsubscribe:${userId}`)
+    .digest('base64url');
+
+// 生成退订令牌
+const createUnsubscribeToken = (userId) => `${userId}.${sign(userId)}`;
+
+// 校验退订令牌，返回用户ID，无效时返回null
+const verifyUnsubscribeToken = (token = '') => {
+    const [userId, signature] = String(token).split('.');
+    if (!userId || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(userId));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    return userId;
+};
+
+// 生成退订链接和邮件头（List-Unsubscribe-Post 支持邮件客户端一键退订）
+const buildUnsubscribe = (userId, appUrl = process.env.APP_URL || 'http://localhost:5000') => {
+    const url = `${appUrl}/api/auth/unsubscribe/${createUnsubscribeToken(userId)}`;
+    return {
+        url,
+        headers: {
+            'List-Unsubscribe': `<${url}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        },
+        text: `\n\n不想再收到此类邮件？打开以下链接即可退订：\n${url}`,
+        html: `<p style="color:#888;font-size:12px">不想再收到此类邮件？<a href="${url}">一键退订</a></p>`
+    };
+};
+
+module.exports = {
+    createUnsubscribeToken,
+    verifyUnsubscribeToken,
+    buildUnsubscribe
+};
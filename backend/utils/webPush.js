@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Web Push 推送
+// VAPID 签名（RFC 8292）与 aes128gcm 消息加密（RFC 8291）直接使用 Node 内置 crypto 实现
+// 未配置 VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY 时推送功能关闭，可用 npm run vapid 生成密钥
+// 推送地址来自浏览器订阅，注册时只接受已知推送服务的 https 地址（isAllowedEndpoint）
+// sendPush 本身不限制地址，测试时可把订阅的 endpoint 指向本地的替代服务
+
+const RECORD_SIZE = 4096;
+const DEFAULT_TTL = 24 * 60 * 60; // 推送服务最多保留一天
+const MAX_FAILURES = 5; // 连续失败次数过多的订阅视为失效
+
+// 主流浏览器使用的推送服务，子域名同样允许（如 Edge 的 *.notify.windows.com）
+const PUSH_SERVICE_HOSTS = [
+    'fcm.googleapis.com',
+    'android.googleapis.com',
+    'updates.push.services.mozilla.com',
+    'notify.windows.com',
+    'push.apple.com'
+];
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+// 订阅地址只能指向推送服务，否则服务端会向用户提交的任意地址（包括内网）发起请求
+// 自建推送服务可通过 PUSH_SERVICE_HOSTS（逗号分隔）追加主机
+const isAllowedEndpoint = (endpoint) => {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch (error) {
+        return false;
+    }
+
+    if (url.protocol !== 'https:' || url.port || url.username || url.password) {
+        return false;
+    }
+
+    const extraHosts = (process.env.PUSH_SERVICE_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+
+    return [...PUSH_SERVICE_HOSTS, ...extraHosts]
+        .some(host => url.hostname === host || url.hostname.endsWith(`.${host}`));
+};
+
+const getVapidKeys = () => {
+    const publicKey = process.env.VAPID_PUBLIC_KEY;
+    const privateKey = process.env.VAPID_PRIVATE_KEY;
+    if (!publicKey || !privateKey) {
+        return null;
+    }
+    return { publicKey, privateKey };
+};
+
+const isPushEnabled = () => !!getVapidKeys();
+
+const getPublicKey = () => {
+    const keys = getVapidKeys();
+    return keys ? keys.publicKey : null;
+};
+
+// 生成 VAPID 密钥对（未压缩的 P-256 公钥和私钥，base64url 编码）
+const generateVapidKeys = () => {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    const privateKey = ecdh.getPrivateKey();
+    return {
+        publicKey: base64url(ecdh.getPublicKey()),
+        // 私钥可能不足32字节，JWK 要求定长，前面补零
+        privateKey: base64url(Buffer.concat([Buffer.alloc(32 - privateKey.length), privateKey]))
+    };
+};
+
+// 生成 VAPID 授权头，aud 为推送服务的源
+const createVapidAuthorization = (endpoint, { publicKey, privateKey }) => {
+    const rawPublicKey = Buffer.from(publicKey, 'base64url');
+    const key = crypto.createPrivateKey({
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            d: privateKey,
+            x: base64url(rawPublicKey.subarray(1, 33)),
+            y: base64url(rawPublicKey.subarray(33, 65))
+        },
+        format: 'jwk'
+    });
+
+    const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = base64url(JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+        sub: process.env.VAPID_SUBJECT || 'mailto:admin@cyber-confessional.com'
+    }));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+        key,
+        dsaEncoding: 'ieee-p1363'
+    });
+
+    return `vapid t=${header}.${claims}.${base64url(signature)}, k=${publicKey}`;
+};
+
+// 按 RFC 8291 加密消息内容，返回请求体
+const encryptPayload = (subscription, payload) => {
+    const clientPublicKey = Buffer.from(subscription.keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+
+    const ecdh = crypto.createECDH('prime256v1');
+    const serverPublicKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(clientPublicKey);
+    const salt = crypto.randomBytes(16);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientPublicKey, serverPublicKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    // 单条记录，末尾的 0x02 为最后一条记录的分隔符
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const encrypted = Buffer.concat([
+        cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])),
+        cipher.final(),
+        cipher.getAuthTag()
+    ]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+
+    return Buffer.concat([header, serverPublicKey, encrypted]);
+};
+
+// 向单个订阅发送推送，返回推送服务的响应状态码
+// topic 相同的未送达消息会被推送服务替换，避免堆积
+const sendPush = async (subscription, message, { ttl = DEFAULT_TTL, topic } = {}) => {
+    const keys = getVapidKeys();
+    if (!keys) {
+        throw new Error('未配置 VAPID 密钥');
+    }
+
+    const headers = {
+        'Authorization': createVapidAuthorization(subscription.endpoint, keys),
+        'Content-Encoding': 'aes128gcm',
+        'Content-Type': 'application/octet-stream',
+        'TTL': String(ttl)
+    };
+    if (topic) {
+        headers.Topic = topic;
+    }
+
+    const response = await fetch(subscription.endpoint, {
+        method: 'POST',
+        headers,
+        body: encryptPayload(subscription, JSON.stringify(message))
+    });
+
+    return response.status;
+};
+
+// 向用户的全部订阅发送推送，失效的订阅会被删除
+// message: { title, body, url, tag }，由 sw.js 展示
+const sendPushToUser = async (userId, message, options = {}) => {
+    if (!userId || !isPushEnabled()) {
+        return;
+    }
+
+    const PushSubscription = mongoose.model('PushSubscription');
+    const subscriptions = await PushSubscription.find({ user: userId });
+
+    await Promise.all(subscriptions.map(async (subscription) => {
+        try {
+            const status = await sendPush(subscription, message, options);
+
+            if (status === 404 || status === 410) {
+                await subscription.deleteOne();
+            } else if (status >= 400) {
+                throw new Error(`推送服务返回 ${status}`);
+            } else {
+                await subscription.updateOne({ $set: { lastSentAt: new Date(), failureCount: 0 } });
+            }
+        } catch (error) {
+            console.error('发送推送失败:', error.message);
+            if (subscription.failureCount + 1 >= MAX_FAILURES) {
+                await subscription.deleteOne();
+            } else {
+                await subscription.updateOne({ $inc: { failureCount: 1 } });
+            }
+        }
+    }));
+};
+
+// 推送给告解的发布者（匿名告解通过 ownerSeal 解析），发布者本人的操作不推送
+const sendPushToConfessionOwner = async (confession, message, { exceptUserId = null, ...options } = {}) => {
+    if (!isPushEnabled()) {
+        return;
+    }
+
+    const Confession = mongoose.model('Confession');
+    const owned = await Confession.findById(confession._id).select('+ownerSeal author');
+    const ownerId = owned ? owned.getOwnerId() : null;
+
+    if (!ownerId || (exceptUserId && ownerId === exceptUserId.toString())) {
+        return;
+    }
+
+    await sendPushToUser(ownerId, message, options);
+};
+
+// 推送不阻塞请求，失败只记录日志
+const dispatch = (promise) => {
+    promise.catch(error => console.error('发送推送失败:', error.message));
+};
+
+module.exports = {
+    isPushEnabled,
+    isAllowedEndpoint,
+    getPublicKey,
+    generateVapidKeys,
+    encryptPayload,
+    sendPush,
+    sendPushToUser,
+    sendPushToConfessionOwner,
+    dispatch
+};
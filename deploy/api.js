@@ -0,0 +1,321 @@
+// 后端 REST API 客户端
+// 统一处理请求地址、认证头和错误格式，供 CyberConfessional 调用
+
+class ApiError extends Error {
+    constructor(message, status = 0, details = null, code = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status; // 0 表示网络不可达
+        this.details = details;
+        this.code = code; // 服务端返回的错误代码，如 PII_DETECTED
+    }
+
+    get isNetworkError() {
+        return this.status === 0;
+    }
+}
+
+class ConfessionAPI {
+    constructor(baseUrl = ConfessionAPI.resolveBaseUrl()) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.timeout = 10000; // 10秒超时
+        this.pendingRefresh = null; // 进行中的刷新请求，并发的 401 共用
+    }
+
+    // 优先使用页面配置的地址，本地开发时默认指向 5000 端口的后端
+    static resolveBaseUrl() {
+        if (window.API_BASE_URL) {
+            return window.API_BASE_URL;
+        }
+
+        const meta = document.querySelector('meta[name="api-base-url"]');
+        if (meta && meta.content) {
+            return meta.content;
+        }
+
+        const { hostname } = window.location;
+        if (hostname === 'localhost' || hostname === '127.0.0.1') {
+            return 'http://localhost:5000/api';
+        }
+
+        return '/api';
+    }
+
+    getToken() {
+        return localStorage.getItem('token');
+    }
+
+    // 设备标识，游客令牌与之绑定
+    getDeviceId() {
+        let deviceId = localStorage.getItem('deviceId');
+        if (!deviceId) {
+            deviceId = window.crypto && window.crypto.randomUUID
+                ? window.crypto.randomUUID()
+                : Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+            localStorage.setItem('deviceId', deviceId);
+        }
+        return deviceId;
+    }
+
+    // 未登录时自动获取游客身份
+    async ensureSession() {
+        if (this.getToken()) {
+            return;
+        }
+
+        const payload = await this.request('/auth/guest', {
+            method: 'POST',
+            body: { deviceId: this.getDeviceId() }
+        });
+
+        localStorage.setItem('token', payload.data.token);
+        localStorage.setItem('tokenType', 'guest');
+    }
+
+    // 使用刷新令牌换取新的访问令牌，失败时清除登录状态
+    // 刷新令牌只能使用一次，重复使用会被服务端视为泄露并注销会话，因此同一时间只发起一个刷新请求
+    refreshSession() {
+        if (!this.pendingRefresh) {
+            this.pendingRefresh = this.performRefresh().finally(() => {
+                this.pendingRefresh = null;
+            });
+        }
+        return this.pendingRefresh;
+    }
+
+    async performRefresh() {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) {
+            return false;
+        }
+
+        try {
+            const payload = await this.request('/auth/refresh', {
+                method: 'POST',
+                body: { refreshToken },
+                retried: true
+            });
+            localStorage.setItem('token', payload.data.token);
+            localStorage.setItem('refreshToken', payload.data.refreshToken);
+            return true;
+        } catch (error) {
+            if (!error.isNetworkError) {
+                localStorage.removeItem('token');
+                localStorage.removeItem('refreshToken');
+                this.clearOfflineCache();
+            }
+            return false;
+        }
+    }
+
+    // 登录状态失效时通知 Service Worker 删除缓存的 API 响应
+    clearOfflineCache() {
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'clear-api-cache' });
+        }
+    }
+
+    async request(path, options = {}) {
+        const { method = 'GET', body, query, headers: extraHeaders, requiresAuth = false, retried = false } = options;
+
+        if (requiresAuth) {
+            await this.ensureSession();
+        }
+
+        let url = `${this.baseUrl}${path}`;
+
+        if (query) {
+            const params = new URLSearchParams();
+            Object.entries(query).forEach(([key, value]) => {
+                if (value !== undefined && value !== null && value !== '') {
+                    params.append(key, value);
+                }
+            });
+            const queryString = params.toString();
+            if (queryString) {
+                url += `?${queryString}`;
+            }
+        }
+
+        const headers = {
+            'Accept': 'application/json',
+            'X-Device-Id': this.getDeviceId(),
+            ...extraHeaders
+        };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const token = this.getToken();
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw new ApiError('无法连接到告解室服务器', 0);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        // Service Worker 离线时返回缓存的数据；没有缓存时视为网络不可达
+        const cacheStatus = response.headers.get('X-Served-From-Cache');
+        if (cacheStatus === 'miss') {
+            throw new ApiError('无法连接到告解室服务器', 0);
+        }
+
+        let payload = null;
+        try {
+            payload = await response.json();
+        } catch (error) {
+            payload = null;
+        }
+
+        if (payload && cacheStatus === 'true') {
+            payload.fromCache = true;
+        }
+
+        if (response.status === 401 && !retried && token) {
+            // 游客令牌过期时重新获取一次
+            if (localStorage.getItem('tokenType') === 'guest') {
+                localStorage.removeItem('token');
+                localStorage.removeItem('tokenType');
+                if (requiresAuth) {
+                    return this.request(path, { ...options, retried: true });
+                }
+            } else if (this.getToken() !== token || await this.refreshSession()) {
+                // 访问令牌过期时用刷新令牌续期后重试；令牌已被并发的请求刷新过时直接重试
+                return this.request(path, { ...options, retried: true });
+            }
+        }
+
+        if (!response.ok || (payload && payload.success === false)) {
+            const message = (payload && payload.error) || `请求失败 (${response.status})`;
+            throw new ApiError(message, response.status, payload && payload.details, payload && payload.code);
+        }
+
+        return payload;
+    }
+
+    // 获取告解列表，离线时 fromCache 为 true（数据来自 Service Worker 缓存）
+    async getConfessions(params = {}) {
+        const payload = await this.request('/confessions', { query: params });
+        return { ...payload.data, fromCache: !!payload.fromCache };
+    }
+
+    // 创建告解
+    async createConfession(confession) {
+        const payload = await this.request('/confessions', {
+            method: 'POST',
+            requiresAuth: true,
+            body: confession
+        });
+        return payload.data.confession;
+    }
+
+    // 订阅实时更新（SSE），传入 confessionId 时只接收该告解的事件；浏览器不支持时返回 null
+    openStream(confessionId = null) {
+        if (typeof EventSource === 'undefined') {
+            return null;
+        }
+
+        const path = confessionId ? `/confessions/${confessionId}/stream` : '/confessions/stream';
+        return new EventSource(`${this.baseUrl}${path}`);
+    }
+
+    // 重放离线发件箱中的请求，以记录 id 作为幂等键
+    async replay(entry) {
+        const payload = await this.request(entry.path, {
+            method: 'POST',
+            requiresAuth: true,
+            body: entry.body,
+            headers: { 'Idempotency-Key': entry.id }
+        });
+        return payload.data;
+    }
+
+    // 获取单条告解
+    async getConfession(confessionId) {
+        const payload = await this.request(`/confessions/${confessionId}`);
+        return payload.data.confession;
+    }
+
+    // 获取自己发布的告解（可按 status 筛选，如待审核）
+    async getMyConfessions(params = {}) {
+        const payload = await this.request('/users/me/confessions', {
+            query: params,
+            requiresAuth: true
+        });
+        return payload.data;
+    }
+
+    // 投票（同类型再次投票即取消）
+    async vote(confessionId, type) {
+        const payload = await this.request(`/confessions/${confessionId}/vote`, {
+            method: 'POST',
+            requiresAuth: true,
+            body: { type }
+        });
+        return payload.data;
+    }
+
+    // 获取告解评论
+    async getComments(confessionId, params = {}) {
+        const payload = await this.request(`/confessions/${confessionId}/comments`, { query: params });
+        return payload.data;
+    }
+
+    // 发表评论（传入 parentComment 即为回复）
+    async createComment(confessionId, comment) {
+        const payload = await this.request(`/confessions/${confessionId}/comments`, {
+            method: 'POST',
+            requiresAuth: true,
+            body: comment
+        });
+        return payload.data.comment;
+    }
+
+    // 使用邮件中的重置令牌设置新密码
+    async resetPassword(token, password, confirmPassword) {
+        const payload = await this.request(`/auth/reset-password/${encodeURIComponent(token)}`, {
+            method: 'POST',
+            body: { password, confirmPassword }
+        });
+        return payload.message;
+    }
+
+    // 获取推送公钥，服务端未启用推送时 enabled 为 false
+    async getPushPublicKey() {
+        const payload = await this.request('/notifications/push/public-key', { requiresAuth: true });
+        return payload.data;
+    }
+
+    // 保存浏览器推送订阅（PushSubscription.toJSON() 的结果）
+    async subscribePush(subscription) {
+        const payload = await this.request('/notifications/push/subscriptions', {
+            method: 'POST',
+            requiresAuth: true,
+            body: subscription
+        });
+        return payload.data.subscription;
+    }
+
+    // 取消浏览器推送订阅
+    async unsubscribePush(endpoint) {
+        await this.request('/notifications/push/subscriptions', {
+            method: 'DELETE',
+            requiresAuth: true,
+            body: { endpoint }
+        });
+    }
+}
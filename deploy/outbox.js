@@ -0,0 +1,140 @@
+// 离线发件箱
+// 离线时提交的告解、投票和评论先保存到 IndexedDB，恢复网络后按提交顺序重放
+// 每条记录的 id 同时作为 Idempotency-Key，重复重放不会重复创建内容
+// 页面和 Service Worker 共用（sw.js 通过 importScripts 引入）
+
+const OUTBOX_DB_NAME = 'cyber-confessional';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+const OUTBOX_META_STORE = 'meta';
+const OUTBOX_SYNC_TAG = 'outbox-sync';
+
+class ConfessionOutbox {
+    constructor() {
+        this.dbPromise = null;
+        this.replaying = false;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    static createKey() {
+        if (self.crypto && self.crypto.randomUUID) {
+            return self.crypto.randomUUID();
+        }
+        return Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+    }
+
+    // 根据重放结果决定如何处理记录
+    //   done     - 已成功（含服务端返回的已保存响应），删除记录
+    //   retry    - 网络不可用、登录过期、请求处理中、频率限制或服务端错误，保留稍后重试
+    //   confirm  - 内容包含个人信息，需要作者在页面中确认
+    //   conflict - 无法再提交（如告解已过期、被删除或内容被拒绝），标记为失败交给用户处理
+    static classify(status, payload) {
+        if (status >= 200 && status < 300) return 'done';
+        if (status === 0 || status === 401 || status === 409 || status === 429 || status >= 500) return 'retry';
+        if (payload && payload.code === 'PII_DETECTED') return 'confirm';
+        return 'conflict';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                        db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(OUTBOX_META_STORE)) {
+                        db.createObjectStore(OUTBOX_META_STORE, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // 加入发件箱，entry: { type, path, body, confessionId }
+    async add(entry) {
+        const record = {
+            id: ConfessionOutbox.createKey(),
+            state: 'pending',
+            error: null,
+            createdAt: new Date().toISOString(),
+            ...entry
+        };
+        await this.put(record);
+        return record;
+    }
+
+    put(entry) {
+        return this.transaction(OUTBOX_STORE, 'readwrite', store => store.put(entry));
+    }
+
+    remove(id) {
+        return this.transaction(OUTBOX_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    async getAll() {
+        const entries = await this.transaction(OUTBOX_STORE, 'readonly', store => store.getAll());
+        return (entries || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    async getMeta(key) {
+        const record = await this.transaction(OUTBOX_META_STORE, 'readonly', store => store.get(key));
+        return record ? record.value : null;
+    }
+
+    setMeta(key, value) {
+        return this.transaction(OUTBOX_META_STORE, 'readwrite', store => store.put({ key, value }));
+    }
+
+    // 按顺序重放待发送的记录，send(entry) 需返回 { status, payload }，网络不可用时 status 为 0
+    // 返回每条记录的处理结果 [{ entry, outcome, status, payload }]
+    async replay(send) {
+        if (this.replaying) return [];
+        this.replaying = true;
+
+        const results = [];
+        try {
+            for (const entry of await this.getAll()) {
+                if (entry.state === 'failed') continue;
+
+                const { status, payload } = await send(entry);
+                const outcome = ConfessionOutbox.classify(status, payload);
+
+                if (outcome === 'done') {
+                    await this.remove(entry.id);
+                } else if (outcome === 'conflict') {
+                    entry.state = 'failed';
+                    entry.error = (payload && payload.error) || `请求失败 (${status})`;
+                    await this.put(entry);
+                }
+
+                results.push({ entry, outcome, status, payload });
+
+                // 网络再次断开时停止，剩余记录留到下次
+                if (status === 0) break;
+            }
+        } finally {
+            this.replaying = false;
+        }
+
+        return results;
+    }
+}
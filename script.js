@@ -1,16 +1,146 @@
 class CyberConfessional {
     constructor() {
-        this.confessions = JSON.parse(localStorage.getItem('confessions')) || [];
+        this.api = new ConfessionAPI();
+        // localStorage 仅作为接口不可用时的后备缓存
+        this.confessions = this.loadCachedConfessions();
+        this.isOffline = false;
+        // 无限滚动：下一页的游标，没有更多数据时为 null
+        this.nextCursor = null;
+        this.loadingMore = false;
+        this.feedObserver = null;
         this.deferredPrompt = null;
+        this.updateAccepted = false;
+        this.modalTimer = null;
+        // 离线发件箱，浏览器不支持 IndexedDB 时为 null
+        this.outbox = ConfessionOutbox.isSupported() ? new ConfessionOutbox() : null;
+        this.outboxEntries = [];
         this.init();
     }
 
     init() {
         this.bindEvents();
+        this.openPasswordReset();
         this.renderConfessions();
         this.updateCharCount();
         this.initPWA();
+        this.registerServiceWorker();
+        this.initPushNotifications();
         this.initMobileOptimizations();
+        this.loadConfessions().then(() => {
+            this.openLinkedConfession();
+            this.flushOutbox();
+        });
+        this.connectLiveUpdates();
+
+        // 恢复网络后提交离线期间保存的内容
+        window.addEventListener('online', () => this.flushOutbox());
+    }
+
+    async loadConfessions() {
+        try {
+            const { confessions, pagination, fromCache } = await this.api.getConfessions({ limit: 20 });
+            const pending = await this.loadPendingConfessions();
+            this.confessions = [...pending, ...confessions].map(confession => this.normalizeConfession(confession));
+            this.isOffline = fromCache;
+            this.nextCursor = fromCache ? null : pagination.nextCursor;
+            this.saveConfessions();
+        } catch (error) {
+            console.warn('加载告解失败，使用本地缓存:', error.message);
+            this.isOffline = error.isNetworkError;
+            this.nextCursor = null;
+        }
+
+        await this.applyOutbox();
+        this.renderConfessions();
+    }
+
+    // 加载下一页告解并追加到列表末尾，不重新渲染已有内容
+    async loadMoreConfessions() {
+        if (!this.nextCursor || this.loadingMore) return;
+
+        this.loadingMore = true;
+        this.updateLoadMore();
+
+        try {
+            const { confessions, pagination, fromCache } = await this.api.getConfessions({
+                limit: 20,
+                cursor: this.nextCursor
+            });
+            if (fromCache) {
+                throw new Error('网络不可用');
+            }
+
+            // 实时推送插入的告解可能已在列表中
+            const loadedIds = new Set(this.confessions.map(c => c._id));
+            const newConfessions = confessions
+                .filter(confession => !loadedIds.has(confession._id))
+                .map(confession => this.normalizeConfession(confession));
+
+            this.confessions.push(...newConfessions);
+            this.nextCursor = pagination.nextCursor;
+            this.appendConfessionItems(newConfessions);
+        } catch (error) {
+            // 失败后不自动重试，显示按钮由用户手动加载
+            console.warn('加载更多告解失败:', error.message);
+            this.loadingMore = false;
+            this.updateLoadMore();
+            return;
+        }
+
+        // 重新观察底部，新内容不足一屏时继续加载
+        this.loadingMore = false;
+        this.observeLoadMore();
+    }
+
+    // 已有会话时取回自己待审核的告解，只有作者本人能看到
+    async loadPendingConfessions() {
+        if (!this.api.getToken()) {
+            return [];
+        }
+
+        try {
+            const { confessions } = await this.api.getMyConfessions({ status: 'pending', limit: 10 });
+            return confessions;
+        } catch (error) {
+            return [];
+        }
+    }
+
+    loadCachedConfessions() {
+        try {
+            const cached = JSON.parse(localStorage.getItem('confessions')) || [];
+            return cached.map(confession => this.normalizeConfession(confession));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // 统一为服务端字段格式，兼容旧版本地缓存（text/heavenVotes/hellVotes/timestamp）
+    normalizeConfession(confession) {
+        if (confession._id) {
+            return {
+                ...confession,
+                votes: confession.votes || { heaven: 0, hell: 0 },
+                commentsCount: confession.commentsCount || 0,
+                userVote: confession.userVote || null,
+                comments: confession.comments || null
+            };
+        }
+
+        return {
+            _id: String(confession.id),
+            content: confession.text,
+            votes: {
+                heaven: confession.heavenVotes || 0,
+                hell: confession.hellVotes || 0
+            },
+            commentsCount: (confession.comments || []).length,
+            createdAt: confession.timestamp,
+            isAnonymous: true,
+            userVote: confession.userVote || null,
+            comments: null,
+            isLegacy: true
+        };
     }
 
     bindEvents() {
@@ -74,6 +204,246 @@ class CyberConfessional {
         });
     }
 
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => this.watchForUpdates(registration))
+            .catch(error => {
+                console.warn('Service Worker 注册失败:', error);
+            });
+
+        // 用户确认更新、新版本接管页面后重新加载
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateAccepted) {
+                this.updateAccepted = false;
+                window.location.reload();
+            }
+        });
+
+        // 点击推送通知时，已打开的页面收到消息后直接定位到对应告解
+        // Service Worker 在后台同步了发件箱后，重新加载列表
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (!event.data) return;
+
+            if (event.data.type === 'open-confession') {
+                this.openConfession(event.data.confessionId);
+            } else if (event.data.type === 'outbox-synced') {
+                this.loadConfessions();
+            }
+        });
+    }
+
+    // 新版本安装完成后提示刷新；首次安装（页面尚未被接管）时不提示
+    watchForUpdates(registration) {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdatePrompt(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt(worker);
+                }
+            });
+        });
+
+        // 长时间打开的页面每小时检查一次更新
+        setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+    }
+
+    showUpdatePrompt(worker) {
+        const updatePrompt = document.getElementById('updatePrompt');
+        if (!updatePrompt) return;
+
+        updatePrompt.style.display = 'flex';
+
+        document.getElementById('updateBtn').onclick = () => {
+            this.updateAccepted = true;
+            worker.postMessage({ type: 'skip-waiting' });
+        };
+        document.getElementById('updateDismissBtn').onclick = () => {
+            updatePrompt.style.display = 'none';
+        };
+    }
+
+    // 浏览器支持且未拒绝通知权限时显示推送开关
+    async initPushNotifications() {
+        const pushBtn = document.getElementById('pushBtn');
+        if (!pushBtn || !('serviceWorker' in navigator) || !('PushManager' in window) || !('Notification' in window)) {
+            return;
+        }
+        if (Notification.permission === 'denied') return;
+
+        // Service Worker 注册失败或推送服务不可用时不显示按钮
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            const subscription = await registration.pushManager.getSubscription();
+            this.updatePushButton(!!subscription);
+        } catch (error) {
+            console.warn('读取推送订阅失败:', error);
+            return;
+        }
+        pushBtn.style.display = '';
+
+        pushBtn.addEventListener('click', () => this.togglePushNotifications());
+    }
+
+    updatePushButton(subscribed) {
+        const pushBtn = document.getElementById('pushBtn');
+        pushBtn.textContent = subscribed ? '🔕 关闭推送通知' : '🔔 开启推送通知';
+        pushBtn.dataset.subscribed = subscribed ? 'true' : 'false';
+    }
+
+    async togglePushNotifications() {
+        const pushBtn = document.getElementById('pushBtn');
+        pushBtn.disabled = true;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            const existing = await registration.pushManager.getSubscription();
+
+            if (existing) {
+                await existing.unsubscribe();
+                await this.api.unsubscribePush(existing.endpoint);
+                this.updatePushButton(false);
+                return;
+            }
+
+            const { enabled, publicKey } = await this.api.getPushPublicKey();
+            if (!enabled) {
+                this.showModal('暂不可用', '告解室暂未开启推送通知');
+                return;
+            }
+
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                if (permission === 'denied') {
+                    pushBtn.style.display = 'none';
+                }
+                return;
+            }
+
+            const subscription = await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: this.decodeBase64Url(publicKey)
+            });
+            try {
+                await this.api.subscribePush(subscription.toJSON());
+            } catch (error) {
+                // 服务端未保存订阅时撤销浏览器中的订阅，保持按钮状态一致
+                await subscription.unsubscribe().catch(() => {});
+                throw error;
+            }
+            this.updatePushButton(true);
+            this.showModal('已开启推送', '有人回复你的评论或为你的告解投票时，我们会通知你 🔔');
+        } catch (error) {
+            this.showApiError('推送通知设置失败', error);
+        } finally {
+            pushBtn.disabled = false;
+        }
+    }
+
+    decodeBase64Url(value) {
+        const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    // 从推送通知打开页面时，地址中带有 ?confession=<id>
+    openLinkedConfession() {
+        const params = new URLSearchParams(window.location.search);
+        const confessionId = params.get('confession');
+        if (!confessionId) return;
+
+        params.delete('confession');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+        this.openConfession(confessionId);
+    }
+
+    // 重置密码邮件中的链接带有 resetToken 参数，打开设置新密码的表单
+    openPasswordReset() {
+        const params = new URLSearchParams(window.location.search);
+        const token = params.get('resetToken');
+        if (!token) return;
+
+        // 从地址栏移除令牌，避免留在浏览历史中
+        params.delete('resetToken');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+        const modal = document.getElementById('modal');
+        const modalBody = document.getElementById('modalBody');
+        clearTimeout(this.modalTimer);
+
+        modalBody.innerHTML = `
+            <h3 style="color: var(--text-gold); margin-bottom: 15px; font-family: 'Cinzel', serif;">设置新密码</h3>
+            <form class="reset-password-form">
+                <input type="password" name="password" class="comment-input" placeholder="新密码" autocomplete="new-password" minlength="6" maxlength="128" required>
+                <input type="password" name="confirmPassword" class="comment-input" placeholder="确认新密码" autocomplete="new-password" minlength="6" maxlength="128" required>
+                <p class="form-error"></p>
+                <button type="submit" class="comment-btn">重置密码</button>
+            </form>
+        `;
+        modal.style.display = 'block';
+
+        const form = modalBody.querySelector('.reset-password-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitPasswordReset(token, form);
+        });
+    }
+
+    async submitPasswordReset(token, form) {
+        const errorText = form.querySelector('.form-error');
+        const submitButton = form.querySelector('button[type="submit"]');
+        const password = form.elements.password.value;
+        const confirmPassword = form.elements.confirmPassword.value;
+
+        if (password !== confirmPassword) {
+            errorText.textContent = '两次输入的密码不一致';
+            return;
+        }
+
+        submitButton.disabled = true;
+        errorText.textContent = '';
+        try {
+            const message = await this.api.resetPassword(token, password, confirmPassword);
+            this.showModal('密码已重置', this.escapeHtml(message));
+        } catch (error) {
+            // 输入验证失败时显示具体原因
+            const detail = error.details && error.details[0] && error.details[0].msg;
+            errorText.textContent = error.isNetworkError ? '无法连接告解室服务器，请稍后再试' : (detail || error.message);
+            submitButton.disabled = false;
+        }
+    }
+
+    // 定位到指定告解并展开评论，不在当前列表中时单独加载
+    async openConfession(confessionId) {
+        if (!confessionId) return;
+
+        if (!this.confessions.some(c => c._id === confessionId)) {
+            try {
+                this.applyNewConfession(await this.api.getConfession(confessionId));
+            } catch (error) {
+                this.showApiError('无法打开告解', error);
+                return;
+            }
+        }
+
+        const element = this.findConfessionElement(confessionId);
+        if (!element) return;
+
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('highlighted');
+        setTimeout(() => element.classList.remove('highlighted'), 3000);
+        this.loadComments(confessionId);
+    }
+
     initMobileOptimizations() {
         // 防止双击缩放
         let lastTouchEnd = 0;
@@ -102,10 +472,10 @@ class CyberConfessional {
         this.addTouchFeedback();
     }
 
-    addTouchFeedback() {
+    addTouchFeedback(root = document) {
         // 延迟执行，确保DOM已加载
         setTimeout(() => {
-            const touchElements = document.querySelectorAll('.submit-btn, .vote-btn, .comment-btn, .install-btn-yes, .install-btn-no');
+            const touchElements = root.querySelectorAll('.submit-btn, .vote-btn, .comment-btn, .install-btn-yes, .install-btn-no');
             
             touchElements.forEach(element => {
                 element.addEventListener('touchstart', () => {
@@ -176,8 +546,9 @@ class CyberConfessional {
         }
     }
 
-    submitConfession() {
+    async submitConfession() {
         const confessionText = document.getElementById('confessionText');
+        const submitBtn = document.getElementById('submitBtn');
         const text = confessionText.value.trim();
 
         if (!text) {
@@ -185,36 +556,64 @@ class CyberConfessional {
             return;
         }
 
+        if (text.length < 10) {
+            this.showModal('告解内容过短', '请至少写下10个字');
+            return;
+        }
+
         if (text.length > 500) {
             this.showModal('告解内容过长', '请将内容控制在500字以内');
             return;
         }
 
-        const confession = {
-            id: Date.now(),
-            text: text,
-            timestamp: new Date().toLocaleString('zh-CN'),
-            heavenVotes: 0,
-            hellVotes: 0,
-            comments: [],
-            userVote: null
-        };
+        submitBtn.disabled = true;
 
-        this.confessions.unshift(confession);
-        this.saveConfessions();
-        this.renderConfessions();
-        
-        confessionText.value = '';
-        this.updateCharCount();
-        
-        this.showModal('告解已提交', '愿主宽恕你的罪过 🙏');
+        const body = { content: text, isAnonymous: true };
+
+        try {
+            if (this.outbox && !navigator.onLine) {
+                await this.queueConfession(body);
+                return;
+            }
+
+            const confession = await this.sendWithPiiConfirmation(confirmPii => this.api.createConfession({
+                ...body,
+                confirmPii
+            }));
+            if (!confession) return;
+
+            this.confessions.unshift(this.normalizeConfession(confession));
+            this.saveConfessions();
+            this.renderConfessions();
+
+            confessionText.value = '';
+            this.updateCharCount();
+
+            // 待审核的告解只有自己可见
+            if (confession.status === 'pending') {
+                this.showModal('告解已提交', '你的告解正在等待审核，通过后将公开显示');
+            } else {
+                this.showModal('告解已提交', '愿主宽恕你的罪过 🙏');
+            }
+        } catch (error) {
+            if (error.isNetworkError && this.outbox) {
+                await this.queueConfession(body);
+                return;
+            }
+            this.showApiError('提交失败', error);
+        } finally {
+            submitBtn.disabled = false;
+        }
     }
 
     renderConfessions() {
         const container = document.getElementById('confessionsList');
+        const offlineNotice = this.isOffline ? `
+            <div class="offline-notice">⚠ 无法连接告解室服务器，当前显示的是本地缓存</div>
+        ` : '';
         
         if (this.confessions.length === 0) {
-            container.innerHTML = `
+            container.innerHTML = offlineNotice + `
                 <div style="text-align: center; color: var(--text-light); padding: 40px;">
                     <div style="font-size: 3rem; margin-bottom: 20px;">✞</div>
                     <p style="font-size: 1.2rem;">暂无告解内容</p>
@@ -224,86 +623,183 @@ class CyberConfessional {
             return;
         }
 
-        container.innerHTML = this.confessions.map(confession => 
+        container.innerHTML = offlineNotice + this.confessions.map(confession => 
             this.renderConfessionItem(confession)
-        ).join('');
+        ).join('') + '<div id="loadMore" class="load-more"></div>';
 
         // 绑定投票和评论事件
         this.bindConfessionEvents();
+        this.observeLoadMore();
+    }
+
+    // 追加渲染下一页的告解，只为新内容绑定事件
+    appendConfessionItems(confessions) {
+        const loadMore = document.getElementById('loadMore');
+        if (!loadMore || confessions.length === 0) return;
+
+        const template = document.createElement('template');
+        template.innerHTML = confessions.map(confession => this.renderConfessionItem(confession)).join('');
+        this.bindConfessionEvents(template.content);
+        loadMore.before(template.content);
+    }
+
+    // 列表底部进入视口时加载下一页；不支持 IntersectionObserver 时显示按钮
+    observeLoadMore() {
+        const loadMore = document.getElementById('loadMore');
+        if (!loadMore) return;
+
+        this.updateLoadMore();
+
+        if (!('IntersectionObserver' in window)) return;
+
+        if (!this.feedObserver) {
+            this.feedObserver = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadMoreConfessions();
+                }
+            }, { rootMargin: '300px' });
+        }
+        this.feedObserver.disconnect();
+        this.feedObserver.observe(loadMore);
+    }
+
+    updateLoadMore() {
+        const loadMore = document.getElementById('loadMore');
+        if (!loadMore) return;
+
+        if (this.loadingMore) {
+            loadMore.innerHTML = '<span class="load-more-status">正在加载更多告解...</span>';
+        } else if (this.nextCursor) {
+            loadMore.innerHTML = '<button class="load-more-btn">加载更多</button>';
+            loadMore.querySelector('.load-more-btn').addEventListener('click', () => this.loadMoreConfessions());
+        } else {
+            loadMore.innerHTML = this.confessions.length > 0 && !this.isOffline
+                ? '<span class="load-more-status">✞ 已经到底了</span>'
+                : '';
+        }
     }
 
     renderConfessionItem(confession) {
-        const totalVotes = confession.heavenVotes + confession.hellVotes;
-        const heavenPercentage = totalVotes > 0 ? (confession.heavenVotes / totalVotes * 100).toFixed(1) : 0;
-        const hellPercentage = totalVotes > 0 ? (confession.hellVotes / totalVotes * 100).toFixed(1) : 0;
+        const authorName = !confession.isAnonymous && confession.author
+            ? this.escapeHtml(confession.author.username)
+            : '匿名信徒';
+        const isPending = confession.status === 'pending';
 
         return `
-            <div class="confession-item" data-id="${confession.id}">
+            <div class="confession-item ${isPending ? 'pending' : ''} ${confession.syncState ? 'local' : ''}" data-id="${confession._id}">
                 <div class="confession-header">
-                    <div class="confession-text">${this.escapeHtml(confession.text)}</div>
+                    ${confession.title ? `<div class="confession-title">${this.escapeHtml(confession.title)}</div>` : ''}
+                    <div class="confession-text">${this.escapeHtml(confession.content)}</div>
                     <div class="confession-meta">
-                        <span>📅 ${confession.timestamp}</span>
-                        <span>💬 ${confession.comments.length} 条评论</span>
+                        <span>✞ ${authorName}</span>
+                        <span>📅 ${this.formatTime(confession.createdAt)}</span>
+                        ${isPending ? '<span class="status-badge">⏳ 待审核</span>' : ''}
+                        ${this.renderSyncBadge(confession)}
+                        <span class="comments-toggle" data-id="${confession._id}">💬 ${confession.commentsCount} 条评论</span>
                     </div>
                 </div>
                 
                 <div class="confession-actions">
-                    <button class="vote-btn heaven ${confession.userVote === 'heaven' ? 'voted' : ''}" 
-                            data-id="${confession.id}" data-type="heaven">
-                        <span>👼</span>
-                        <span>上天堂</span>
-                        <span class="vote-count">${confession.heavenVotes}</span>
-                        ${totalVotes > 0 ? `<span style="font-size: 0.8rem; margin-left: 5px;">(${heavenPercentage}%)</span>` : ''}
-                    </button>
-                    <button class="vote-btn hell ${confession.userVote === 'hell' ? 'voted' : ''}" 
-                            data-id="${confession.id}" data-type="hell">
-                        <span>👹</span>
-                        <span>下地狱</span>
-                        <span class="vote-count">${confession.hellVotes}</span>
-                        ${totalVotes > 0 ? `<span style="font-size: 0.8rem; margin-left: 5px;">(${hellPercentage}%)</span>` : ''}
-                    </button>
+                    ${this.renderVoteButtons(confession)}
                 </div>
 
                 <div class="comments-section">
                     <div class="comment-form">
                         <input type="text" class="comment-input" placeholder="发表你的看法..." maxlength="200">
-                        <button class="comment-btn" data-id="${confession.id}">评论</button>
+                        <button class="comment-btn" data-id="${confession._id}">评论</button>
                     </div>
                     <div class="comments-list">
-                        ${confession.comments.map(comment => `
-                            <div class="comment-item">
-                                <div class="comment-text">${this.escapeHtml(comment.text)}</div>
-                                <div class="comment-time">${comment.timestamp}</div>
-                            </div>
-                        `).join('')}
+                        ${(confession.comments || []).map(comment => this.renderCommentItem(comment)).join('')}
                     </div>
                 </div>
             </div>
         `;
     }
 
-    bindConfessionEvents() {
+    renderVoteButtons(confession) {
+        const { heaven, hell } = confession.votes;
+        const totalVotes = heaven + hell;
+        const heavenPercentage = totalVotes > 0 ? (heaven / totalVotes * 100).toFixed(1) : 0;
+        const hellPercentage = totalVotes > 0 ? (hell / totalVotes * 100).toFixed(1) : 0;
+
+        return `
+            <button class="vote-btn heaven ${confession.userVote === 'heaven' ? 'voted' : ''}" 
+                    data-id="${confession._id}" data-type="heaven">
+                <span>👼</span>
+                <span>上天堂</span>
+                <span class="vote-count">${heaven}</span>
+                ${totalVotes > 0 ? `<span style="font-size: 0.8rem; margin-left: 5px;">(${heavenPercentage}%)</span>` : ''}
+            </button>
+            <button class="vote-btn hell ${confession.userVote === 'hell' ? 'voted' : ''}" 
+                    data-id="${confession._id}" data-type="hell">
+                <span>👹</span>
+                <span>下地狱</span>
+                <span class="vote-count">${hell}</span>
+                ${totalVotes > 0 ? `<span style="font-size: 0.8rem; margin-left: 5px;">(${hellPercentage}%)</span>` : ''}
+            </button>
+            ${confession.outboxVote ? '<span class="status-badge sync-badge">⏳ 投票待同步</span>' : ''}
+        `;
+    }
+
+    renderCommentItem(comment) {
+        return `
+            <div class="comment-item ${comment.syncState ? 'local' : ''}">
+                <div class="comment-text">${this.escapeHtml(comment.content)}</div>
+                <div class="comment-time">${this.formatTime(comment.createdAt)} ${this.renderSyncBadge(comment)}</div>
+            </div>
+        `;
+    }
+
+    // 离线保存、尚未提交到服务器的内容的状态标记
+    renderSyncBadge(item) {
+        if (!item.syncState) return '';
+
+        if (item.syncState === 'failed') {
+            return `
+                <span class="status-badge sync-badge failed">⚠ 同步失败：${this.escapeHtml(item.syncError || '未知错误')}</span>
+                <button class="discard-btn" data-outbox-id="${item.outboxId}">放弃</button>
+            `;
+        }
+        return '<span class="status-badge sync-badge">⏳ 待同步</span>';
+    }
+
+    // 只绑定 root 内的元素，就地更新局部内容后可以单独绑定
+    bindConfessionEvents(root = document) {
         // 投票事件
-        document.querySelectorAll('.vote-btn').forEach(btn => {
+        root.querySelectorAll('.vote-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
-                const id = parseInt(e.currentTarget.dataset.id);
+                const id = e.currentTarget.dataset.id;
                 const type = e.currentTarget.dataset.type;
                 this.vote(id, type);
             });
         });
 
+        // 展开评论事件
+        root.querySelectorAll('.comments-toggle').forEach(toggle => {
+            toggle.addEventListener('click', (e) => {
+                this.loadComments(e.currentTarget.dataset.id);
+            });
+        });
+
         // 评论事件
-        document.querySelectorAll('.comment-btn').forEach(btn => {
+        root.querySelectorAll('.comment-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
-                const id = parseInt(e.currentTarget.dataset.id);
+                const id = e.currentTarget.dataset.id;
                 const input = e.currentTarget.previousElementSibling;
                 this.addComment(id, input.value.trim());
                 input.value = '';
             });
         });
 
+        // 放弃同步失败的离线内容
+        root.querySelectorAll('.discard-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.discardOutboxEntry(e.currentTarget.dataset.outboxId);
+            });
+        });
+
         // 评论输入框回车事件
-        document.querySelectorAll('.comment-input').forEach(input => {
+        root.querySelectorAll('.comment-input').forEach(input => {
             input.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter' && !e.shiftKey) {
                     e.preventDefault();
@@ -314,69 +810,605 @@ class CyberConfessional {
         });
 
         // 重新添加触摸反馈
-        this.addTouchFeedback();
+        this.addTouchFeedback(root);
+    }
+
+    // 订阅服务端实时更新，收到事件后就地更新对应的告解，不重新渲染整个列表
+    connectLiveUpdates() {
+        const stream = this.api.openStream();
+        if (!stream) return;
+
+        const handle = (type, handler) => {
+            stream.addEventListener(type, (event) => {
+                try {
+                    handler(JSON.parse(event.data));
+                } catch (error) {
+                    console.warn('处理实时更新失败:', error);
+                }
+            });
+        };
+
+        handle('confession', ({ confession }) => this.applyNewConfession(confession));
+        handle('votes', ({ confessionId, votes }) => this.applyVoteCounts(confessionId, votes));
+        handle('comment', ({ confessionId, comment }) => this.applyNewComment(confessionId, comment));
+        handle('comments', ({ confessionId, commentsCount }) => this.applyCommentsCount(confessionId, commentsCount));
+
+        this.liveStream = stream;
+    }
+
+    findConfessionElement(confessionId) {
+        return document.querySelector(`.confession-item[data-id="${confessionId}"]`);
     }
 
-    vote(confessionId, voteType) {
-        const confession = this.confessions.find(c => c.id === confessionId);
+    applyNewConfession(data) {
+        if (this.confessions.some(c => c._id === data._id)) return;
+
+        const confession = this.normalizeConfession(data);
+        this.confessions.unshift(confession);
+        this.saveConfessions();
+
+        const firstItem = document.querySelector('#confessionsList .confession-item');
+        if (!firstItem) {
+            this.renderConfessions();
+            return;
+        }
+
+        firstItem.insertAdjacentHTML('beforebegin', this.renderConfessionItem(confession));
+        this.bindConfessionEvents(this.findConfessionElement(confession._id));
+    }
+
+    applyVoteCounts(confessionId, votes) {
+        const confession = this.confessions.find(c => c._id === confessionId);
+        if (!confession) return;
+
+        confession.votes = { heaven: votes.heaven, hell: votes.hell };
+        this.saveConfessions();
+        this.updateVoteButtons(confession);
+    }
+
+    applyNewComment(confessionId, comment) {
+        const confession = this.confessions.find(c => c._id === confessionId);
+        // 评论未展开时只需更新评论数（由 comments 事件处理）
+        if (!confession || !confession.comments) return;
+        if (confession.comments.some(c => c._id === comment._id)) return;
+
+        confession.comments.push(comment);
+        this.saveConfessions();
+
+        const element = this.findConfessionElement(confessionId);
+        if (element) {
+            element.querySelector('.comments-list').insertAdjacentHTML('beforeend', this.renderCommentItem(comment));
+        }
+    }
+
+    applyCommentsCount(confessionId, commentsCount) {
+        const confession = this.confessions.find(c => c._id === confessionId);
+        if (!confession) return;
+
+        confession.commentsCount = commentsCount;
+        this.saveConfessions();
+
+        const element = this.findConfessionElement(confessionId);
+        if (element) {
+            element.querySelector('.comments-toggle').textContent = `💬 ${commentsCount} 条评论`;
+        }
+    }
+
+    updateVoteButtons(confession) {
+        const element = this.findConfessionElement(confession._id);
+        if (!element) return;
+
+        const actions = element.querySelector('.confession-actions');
+        actions.innerHTML = this.renderVoteButtons(confession);
+        this.bindConfessionEvents(actions);
+    }
+
+    updateCommentsList(confession) {
+        const element = this.findConfessionElement(confession._id);
+        if (!element) return;
+
+        element.querySelector('.comments-list').innerHTML = (confession.comments || [])
+            .map(comment => this.renderCommentItem(comment))
+            .join('');
+        element.querySelector('.comments-toggle').textContent = `💬 ${confession.commentsCount} 条评论`;
+    }
+
+    async vote(confessionId, voteType) {
+        const confession = this.confessions.find(c => c._id === confessionId);
         if (!confession) return;
 
-        // 检查是否已经投过票
-        if (confession.userVote === voteType) {
-            this.showModal('已投票', '你已经对此告解投过票了');
+        if (confession.isLegacy) {
+            this.showModal('无法投票', '这条告解仅存在于本地缓存中');
+            return;
+        }
+
+        // 已有待同步的投票时继续离线保存，保证提交顺序
+        if (this.outbox && (!navigator.onLine || confession.outboxVote)) {
+            await this.queueVote(confession, voteType);
             return;
         }
 
-        // 如果之前投过其他票，先撤销
-        if (confession.userVote) {
-            if (confession.userVote === 'heaven') {
-                confession.heavenVotes--;
+        try {
+            const { action, votes } = await this.api.vote(confessionId, voteType);
+
+            // 使用服务端返回的计数，本地增减会与实时推送的投票数重复累加
+            if (votes) {
+                confession.votes = { heaven: votes.heaven, hell: votes.hell };
+            }
+            confession.userVote = action === 'removed' ? null : voteType;
+
+            this.saveConfessions();
+            this.updateVoteButtons(confession);
+
+            if (action === 'removed') {
+                this.showModal('投票已取消', '你收回了对此告解的判决');
             } else {
-                confession.hellVotes--;
+                const voteText = voteType === 'heaven' ? '上天堂 👼' : '下地狱 👹';
+                this.showModal('投票成功', `你选择了：${voteText}`);
+            }
+        } catch (error) {
+            if (error.isNetworkError && this.outbox) {
+                await this.queueVote(confession, voteType);
+                return;
+            }
+            this.showApiError('投票失败', error);
+        }
+    }
+
+    async loadComments(confessionId) {
+        const confession = this.confessions.find(c => c._id === confessionId);
+        if (!confession || confession.isLegacy) return;
+
+        try {
+            const { comments } = await this.api.getComments(confessionId, { sort: 'oldest' });
+            confession.comments = comments;
+            this.outboxEntries
+                .filter(entry => entry.type === 'comment' && entry.confessionId === confessionId)
+                .forEach(entry => this.applyOutboxEntry(entry));
+            this.saveConfessions();
+            this.updateCommentsList(confession);
+        } catch (error) {
+            this.showApiError('加载评论失败', error);
+        }
+    }
+
+    async addComment(confessionId, commentText) {
+        if (!commentText) {
+            this.showModal('评论不能为空', '请输入你的看法');
+            return;
+        }
+
+        if (commentText.length > 200) {
+            this.showModal('评论过长', '请将评论控制在200字以内');
+            return;
+        }
+
+        const confession = this.confessions.find(c => c._id === confessionId);
+        if (!confession) return;
+
+        if (confession.isLegacy) {
+            this.showModal('无法评论', '这条告解仅存在于本地缓存中');
+            return;
+        }
+
+        if (this.outbox && !navigator.onLine) {
+            await this.queueComment(confession, commentText);
+            return;
+        }
+
+        try {
+            const comment = await this.sendWithPiiConfirmation(confirmPii => this.api.createComment(confessionId, {
+                content: commentText,
+                confirmPii
+            }));
+            if (!comment) return;
+
+            if (comment.status === 'pending') {
+                this.showModal('评论已提交', '你的评论正在等待审核，通过后将公开显示');
+                return;
+            }
+
+            if (!confession.comments) {
+                // 尚未展开评论时先拉取完整列表（已包含新评论）
+                const { comments } = await this.api.getComments(confessionId, { sort: 'oldest' });
+                confession.comments = comments;
+            } else if (!confession.comments.some(c => c._id === comment._id)) {
+                // 实时推送可能已先送达这条评论
+                confession.comments.push(comment);
+            }
+            // 实时连接正常时评论数由服务端推送，否则本地加一
+            if (!this.liveStream || this.liveStream.readyState !== EventSource.OPEN) {
+                confession.commentsCount++;
+            }
+
+            this.saveConfessions();
+            this.updateCommentsList(confession);
+        } catch (error) {
+            if (error.isNetworkError && this.outbox) {
+                await this.queueComment(confession, commentText);
+                return;
+            }
+            this.showApiError('评论失败', error);
+        }
+    }
+
+    // 把发件箱中尚未同步的内容合并到当前列表，显示为待同步或同步失败
+    async applyOutbox() {
+        if (!this.outbox) return;
+
+        try {
+            this.outboxEntries = await this.outbox.getAll();
+        } catch (error) {
+            console.warn('读取离线发件箱失败:', error);
+            this.outboxEntries = [];
+        }
+
+        // 本地缓存中已被同步（或放弃）的离线内容不再显示
+        const ids = new Set(this.outboxEntries.map(entry => entry.id));
+        this.confessions = this.confessions.filter(c => !c.outboxId || ids.has(c.outboxId));
+        this.confessions.forEach(confession => {
+            if (confession.comments) {
+                confession.comments = confession.comments.filter(c => !c.outboxId || ids.has(c.outboxId));
+            }
+            if (confession.outboxVote && !ids.has(confession.outboxVote)) {
+                confession.outboxVote = null;
+            }
+        });
+
+        this.outboxEntries.forEach(entry => this.applyOutboxEntry(entry));
+    }
+
+    applyOutboxEntry(entry) {
+        const localId = `local-${entry.id}`;
+        const syncFields = { syncState: entry.state, syncError: entry.error, outboxId: entry.id };
+
+        if (entry.type === 'confession') {
+            let confession = this.confessions.find(c => c._id === localId);
+            if (!confession) {
+                confession = this.normalizeConfession({
+                    _id: localId,
+                    content: entry.body.content,
+                    isAnonymous: entry.body.isAnonymous,
+                    createdAt: entry.createdAt
+                });
+                this.confessions.unshift(confession);
+            }
+            Object.assign(confession, syncFields);
+            return;
+        }
+
+        const confession = this.confessions.find(c => c._id === entry.confessionId);
+        if (!confession) return;
+
+        if (entry.type === 'vote') {
+            // 从服务端重新加载的数据需要再次应用本地投票，缓存中的数据已经应用过
+            if (confession.outboxVote !== entry.id) {
+                this.applyLocalVote(confession, entry.body.type);
+                confession.outboxVote = entry.id;
             }
+        } else if (entry.type === 'comment') {
+            if (!confession.comments) return;
+
+            let comment = confession.comments.find(c => c._id === localId);
+            if (!comment) {
+                comment = { _id: localId, content: entry.body.content, createdAt: entry.createdAt };
+                confession.comments.push(comment);
+            }
+            Object.assign(comment, syncFields);
+        }
+    }
+
+    // 按服务端的投票规则更新本地计数：同类型再次投票即取消
+    applyLocalVote(confession, voteType) {
+        const previousVote = confession.userVote;
+        if (previousVote) {
+            confession.votes[previousVote] = Math.max(0, confession.votes[previousVote] - 1);
         }
 
-        // 投新票
-        confession.userVote = voteType;
-        if (voteType === 'heaven') {
-            confession.heavenVotes++;
+        if (previousVote === voteType) {
+            confession.userVote = null;
         } else {
-            confession.hellVotes++;
+            confession.votes[voteType]++;
+            confession.userVote = voteType;
         }
+    }
 
+    // 加入发件箱并在列表中显示为待同步
+    async enqueue(entry) {
+        const record = await this.outbox.add(entry);
+        this.outboxEntries.push(record);
+        this.applyOutboxEntry(record);
         this.saveConfessions();
+        this.requestBackgroundSync();
+        return record;
+    }
+
+    // 注册后台同步；Service Worker 在后台提交时使用这里保存的登录凭据
+    async requestBackgroundSync() {
+        try {
+            await this.outbox.setMeta('auth', {
+                baseUrl: this.api.baseUrl,
+                token: this.api.getToken(),
+                deviceId: this.api.getDeviceId()
+            });
+
+            if (!('serviceWorker' in navigator)) return;
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.sync) {
+                await registration.sync.register(OUTBOX_SYNC_TAG);
+            }
+        } catch (error) {
+            console.warn('注册后台同步失败:', error);
+        }
+    }
+
+    async queueConfession(body) {
+        await this.enqueue({ type: 'confession', path: '/confessions', body });
         this.renderConfessions();
 
-        // 显示投票结果
-        const voteText = voteType === 'heaven' ? '上天堂 👼' : '下地狱 👹';
-        this.showModal('投票成功', `你选择了：${voteText}`);
+        const confessionText = document.getElementById('confessionText');
+        confessionText.value = '';
+        this.updateCharCount();
+
+        this.showModal('已离线保存', '网络恢复后将自动提交你的告解 📮');
     }
 
-    addComment(confessionId, commentText) {
-        if (!commentText) {
-            this.showModal('评论不能为空', '请输入你的看法');
+    // 同一告解只保留一条待同步的投票：
+    // 记录离线前服务端的投票（baseVote），只提交把服务端状态变为本地状态所需的一次投票
+    async queueVote(confession, voteType) {
+        const queued = this.outboxEntries.find(entry => entry.type === 'vote' && entry.confessionId === confession._id);
+        const baseVote = queued ? queued.baseVote : confession.userVote;
+
+        this.applyLocalVote(confession, voteType);
+
+        if (queued) {
+            await this.outbox.remove(queued.id);
+            this.outboxEntries = this.outboxEntries.filter(entry => entry.id !== queued.id);
+            confession.outboxVote = null;
+        }
+
+        const target = confession.userVote;
+        if (target !== baseVote) {
+            const record = await this.outbox.add({
+                type: 'vote',
+                confessionId: confession._id,
+                path: `/confessions/${confession._id}/vote`,
+                // 目标为取消投票时再次提交原来的类型
+                body: { type: target || baseVote },
+                baseVote
+            });
+            this.outboxEntries.push(record);
+            confession.outboxVote = record.id;
+            this.requestBackgroundSync();
+        }
+
+        this.saveConfessions();
+        this.updateVoteButtons(confession);
+
+        if (navigator.onLine) {
+            this.flushOutbox();
+        } else {
+            this.showModal('已离线保存', '网络恢复后将自动提交你的投票');
+        }
+    }
+
+    async queueComment(confession, content) {
+        if (!confession.comments) {
+            confession.comments = [];
+        }
+
+        await this.enqueue({
+            type: 'comment',
+            confessionId: confession._id,
+            path: `/confessions/${confession._id}/comments`,
+            body: { content }
+        });
+        this.updateCommentsList(confession);
+
+        this.showModal('已离线保存', '网络恢复后将自动提交你的评论');
+    }
+
+    async sendOutboxEntry(entry) {
+        try {
+            const data = await this.api.replay(entry);
+            return { status: 200, payload: { data } };
+        } catch (error) {
+            return {
+                status: error.status || 0,
+                payload: { error: error.message, code: error.code, details: error.details }
+            };
+        }
+    }
+
+    // 重放发件箱，把结果同步到列表
+    async flushOutbox() {
+        if (!this.outbox || !navigator.onLine) return;
+
+        let results;
+        try {
+            const entries = await this.outbox.getAll();
+            if (!entries.some(entry => entry.state === 'pending')) return;
+
+            results = await this.outbox.replay(entry => this.sendOutboxEntry(entry));
+        } catch (error) {
+            console.warn('同步离线内容失败:', error);
             return;
         }
 
-        if (commentText.length > 200) {
-            this.showModal('评论过长', '请将评论控制在200字以内');
+        let synced = 0;
+        let resend = false;
+        const conflicts = [];
+
+        for (const { entry, outcome, payload } of results) {
+            if (outcome === 'done') {
+                synced++;
+                await this.applySyncedEntry(entry, payload.data);
+            } else if (outcome === 'conflict') {
+                conflicts.push(entry);
+                // 投票冲突时直接恢复为服务端状态，不保留失败记录
+                if (entry.type === 'vote') {
+                    await this.discardOutboxEntry(entry.id);
+                }
+            } else if (outcome === 'confirm') {
+                // 包含个人信息，作者确认后再次提交，取消则放弃
+                if (this.confirmPiiRedaction(payload.details)) {
+                    entry.body = { ...entry.body, confirmPii: true };
+                    await this.outbox.put(entry);
+                    resend = true;
+                } else {
+                    await this.discardOutboxEntry(entry.id);
+                }
+            }
+        }
+
+        await this.applyOutbox();
+        this.saveConfessions();
+        this.renderConfessions();
+
+        if (conflicts.length > 0) {
+            const labels = { confession: '告解', vote: '投票', comment: '评论' };
+            const reasons = conflicts.map(entry => `${labels[entry.type]}：${this.escapeHtml(entry.error)}`);
+            this.showModal('部分离线内容未能提交', reasons.join('<br>'));
+        } else if (synced > 0) {
+            this.showModal('离线内容已同步', `已提交 ${synced} 项离线期间保存的内容`);
+        }
+
+        if (resend) {
+            await this.flushOutbox();
+        }
+    }
+
+    // 用服务端返回的数据替换本地的待同步内容
+    async applySyncedEntry(entry, data) {
+        const localId = `local-${entry.id}`;
+
+        if (entry.type === 'confession') {
+            const index = this.confessions.findIndex(c => c._id === localId);
+            const confession = this.normalizeConfession(data.confession);
+            // 实时推送可能已先送达这条告解
+            const exists = this.confessions.some(c => c._id === confession._id);
+
+            if (index !== -1 && !exists) {
+                this.confessions.splice(index, 1, confession);
+            } else if (index !== -1) {
+                this.confessions.splice(index, 1);
+            }
             return;
         }
 
-        const confession = this.confessions.find(c => c.id === confessionId);
+        const confession = this.confessions.find(c => c._id === entry.confessionId);
         if (!confession) return;
 
-        const comment = {
-            id: Date.now(),
-            text: commentText,
-            timestamp: new Date().toLocaleString('zh-CN')
-        };
+        if (entry.type === 'vote') {
+            confession.outboxVote = null;
+            await this.refreshConfession(confession);
+        } else if (entry.type === 'comment' && confession.comments) {
+            const comment = data.comment;
+            const index = confession.comments.findIndex(c => c._id === localId);
+            const exists = confession.comments.some(c => c._id === comment._id);
+
+            if (index !== -1) {
+                // 待审核的评论暂不公开显示
+                if (comment.status === 'pending' || exists) {
+                    confession.comments.splice(index, 1);
+                } else {
+                    confession.comments.splice(index, 1, comment);
+                }
+            }
+            if (comment.status !== 'pending' && (!this.liveStream || this.liveStream.readyState !== EventSource.OPEN)) {
+                confession.commentsCount++;
+            }
+        }
+    }
+
+    // 从服务端重新读取投票数和自己的投票，告解已不存在时从列表移除
+    async refreshConfession(confession) {
+        try {
+            const fresh = await this.api.getConfession(confession._id);
+            confession.votes = fresh.votes;
+            confession.userVote = fresh.userVote || null;
+            confession.commentsCount = fresh.commentsCount;
+        } catch (error) {
+            if (error.status === 404) {
+                this.confessions = this.confessions.filter(c => c._id !== confession._id);
+            }
+        }
+    }
+
+    // 放弃一条离线内容，撤销它在列表中的显示
+    async discardOutboxEntry(id) {
+        const entry = this.outboxEntries.find(item => item.id === id);
+        await this.outbox.remove(id);
+        this.outboxEntries = this.outboxEntries.filter(item => item.id !== id);
+
+        const localId = `local-${id}`;
+        this.confessions = this.confessions.filter(c => c._id !== localId);
+        this.confessions.forEach(confession => {
+            if (confession.comments) {
+                confession.comments = confession.comments.filter(c => c._id !== localId);
+            }
+        });
+
+        if (entry && entry.type === 'vote') {
+            const confession = this.confessions.find(c => c._id === entry.confessionId);
+            if (confession) {
+                confession.outboxVote = null;
+                await this.refreshConfession(confession);
+            }
+        }
 
-        confession.comments.push(comment);
         this.saveConfessions();
         this.renderConfessions();
     }
 
+    // 提交内容，包含个人信息时先请作者确认将隐藏的内容；作者取消时返回 null
+    async sendWithPiiConfirmation(send) {
+        try {
+            return await send(false);
+        } catch (error) {
+            if (error.code !== 'PII_DETECTED') {
+                throw error;
+            }
+            if (!this.confirmPiiRedaction(error.details)) {
+                return null;
+            }
+            return send(true);
+        }
+    }
+
+    confirmPiiRedaction(details) {
+        const detections = (details && details.detections) || [];
+        const masked = detections.filter(item => item.action === 'masked').map(item => `${item.label} ×${item.count}`);
+        const flagged = detections.filter(item => item.action === 'flagged').map(item => item.label);
+
+        const lines = ['为保护隐私，你的内容中包含的个人信息需要处理：'];
+        if (masked.length > 0) {
+            lines.push(`将被隐藏：${masked.join('、')}`);
+        }
+        if (flagged.length > 0) {
+            lines.push(`将提交版主复核：${flagged.join('、')}`);
+        }
+        lines.push('', '确认按处理后的内容发布吗？');
+
+        return window.confirm(lines.join('\n'));
+    }
+
+    showApiError(title, error) {
+        if (error.status === 401) {
+            this.showModal(title, '请先登录后再进行此操作');
+        } else if (error.isNetworkError) {
+            this.showModal(title, '无法连接告解室服务器，请稍后再试');
+        } else {
+            this.showModal(title, this.escapeHtml(error.message));
+        }
+    }
+
+    formatTime(value) {
+        const date = new Date(value);
+        // 旧缓存中的时间已是本地化字符串
+        return isNaN(date.getTime()) ? value : date.toLocaleString('zh-CN');
+    }
+
     showModal(title, message) {
         const modal = document.getElementById('modal');
         const modalBody = document.getElementById('modalBody');
@@ -389,7 +1421,8 @@ class CyberConfessional {
         modal.style.display = 'block';
         
         // 3秒后自动关闭
-        setTimeout(() => {
+        clearTimeout(this.modalTimer);
+        this.modalTimer = setTimeout(() => {
             this.closeModal();
         }, 3000);
     }
@@ -414,46 +1447,3 @@ class CyberConfessional {
 document.addEventListener('DOMContentLoaded', () => {
     new CyberConfessional();
 });
-
-// 添加一些示例数据（仅在首次访问时）
-if (!localStorage.getItem('confessions')) {
-    const sampleConfessions = [
-        {
-            id: 1,
-            text: "我今天对同事撒了谎，说自己生病了，其实只是想在家休息。我感到很愧疚，不知道该如何面对明天的工作。",
-            timestamp: new Date(Date.now() - 86400000).toLocaleString('zh-CN'),
-            heavenVotes: 12,
-            hellVotes: 3,
-            comments: [
-                {
-                    id: 1,
-                    text: "每个人都需要休息，但诚实更重要。下次直接请假吧。",
-                    timestamp: new Date(Date.now() - 82800000).toLocaleString('zh-CN')
-                },
-                {
-                    id: 2,
-                    text: "理解你的感受，工作压力大的时候确实需要喘息。",
-                    timestamp: new Date(Date.now() - 79200000).toLocaleString('zh-CN')
-                }
-            ],
-            userVote: null
-        },
-        {
-            id: 2,
-            text: "我偷偷看了室友的日记，发现了一些不该知道的秘密。现在我不知道该如何面对她，内心充满了罪恶感。",
-            timestamp: new Date(Date.now() - 172800000).toLocaleString('zh-CN'),
-            heavenVotes: 5,
-            hellVotes: 18,
-            comments: [
-                {
-                    id: 3,
-                    text: "侵犯他人隐私确实不对，但知错能改善莫大焉。",
-                    timestamp: new Date(Date.now() - 169200000).toLocaleString('zh-CN')
-                }
-            ],
-            userVote: null
-        }
-    ];
-    
-    localStorage.setItem('confessions', JSON.stringify(sampleConfessions));
-}
\ No newline at end of file
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// 生成 Service Worker 的预缓存清单 precache-manifest.js
+// 按文件内容计算哈希，文件变化后清单随之变化，浏览器据此安装新版本的 Service Worker
+// 修改前端文件后运行：npm run build（可传入目录，默认项目根目录）
+
+const APP_SHELL = [
+    'index.html',
+    'style.css',
+    'api.js',
+    'outbox.js',
+    'script.js',
+    'manifest.json',
+    'icon-192.png',
+    'icon-512.png'
+];
+
+const hash = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+const buildManifest = (dir) => {
+    const entries = APP_SHELL.map(file => ({
+        url: `/${file}`,
+        revision: hash(fs.readFileSync(path.join(dir, file))).slice(0, 16)
+    }));
+    const version = hash(entries.map(entry => entry.revision).join('')).slice(0, 12);
+
+    const lines = [
+        '// 由 scripts/precache-manifest.js 生成，请勿手动修改',
+        `self.__PRECACHE_VERSION = '${version}';`,
+        `self.__PRECACHE_MANIFEST = ${JSON.stringify(entries, null, 2)};`,
+        ''
+    ];
+    fs.writeFileSync(path.join(dir, 'precache-manifest.js'), lines.join('\n').replace(/\n/g, '\r\n'));
+
+    return version;
+};
+
+if (require.main === module) {
+    const dir = path.resolve(process.argv[2] || path.join(__dirname, '..'));
+    console.log(`预缓存清单已生成，版本 ${buildManifest(dir)}`);
+}
+
+module.exports = {
+    buildManifest
+};
@@ -1,51 +1,278 @@
-const CACHE_NAME = 'cyber-confessional-v1.0.0';
-const urlsToCache = [
-  '/',
-  '/index.html',
-  '/style.css',
-  '/script.js',
-  '/manifest.json',
-  'https://fonts.googleapis.com/css2?family=Cinzel:wght@400;600&family=Noto+Serif+SC:wght@400;600&display=swap'
-];
-
-// 安装事件
+importScripts('precache-manifest.js', 'outbox.js');
+
+// 缓存策略
+//   应用外壳（precache-manifest.js 中的文件）- 安装时预缓存，按内容哈希区分版本，缓存优先
+//   /api/confessions/* - GET 请求网络优先，离线时返回缓存；告解列表没有对应缓存时返回最近一次的列表
+//                        响应中含有当前用户的投票等信息，缓存按令牌中的用户区分，切换用户时删除其他用户的缓存
+//   其他 /api/*        - 不缓存（个人资料、通知等私有数据）
+//   字体     - stale-while-revalidate，先返回缓存再在后台更新
+// 前端文件修改后运行 npm run build 重新生成清单，清单变化即视为新版本
+
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || [];
+
+// 缓存名包含清单的摘要，新版本使用新的缓存，激活后删除旧缓存
+const PRECACHE_NAME = `cyber-confessional-shell-${self.__PRECACHE_VERSION || 'dev'}`;
+const API_CACHE_PREFIX = 'cyber-confessional-api-';
+const FONT_CACHE_NAME = 'cyber-confessional-fonts';
+const CURRENT_CACHES = [PRECACHE_NAME, FONT_CACHE_NAME];
+const CACHEABLE_API = /^\/api\/confessions(\/|$)/;
+
+const LAST_FEED_URL = '/__last-feed'; // 最近一次成功加载的告解列表
+const API_CACHE_LIMIT = 50; // API 缓存最多保留的响应数
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// 安装事件：按清单预缓存应用外壳，带上版本参数绕过 HTTP 缓存
+// 新版本安装后进入等待状态，由页面提示用户刷新后再激活
 self.addEventListener('install', event => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        console.log('缓存已打开');
-        return cache.addAll(urlsToCache);
+    caches.open(PRECACHE_NAME).then(cache => Promise.all(
+      PRECACHE_MANIFEST.map(async entry => {
+        const response = await fetch(`${entry.url}?__rev=${entry.revision}`, { cache: 'no-cache' });
+        if (!response.ok) {
+          throw new Error(`预缓存失败: ${entry.url}`);
+        }
+        await cache.put(entry.url, response);
       })
+    ))
+  );
+});
+
+// 激活事件：删除旧版本的缓存并接管已打开的页面
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(cacheNames => Promise.all(
+        cacheNames
+          .filter(cacheName => !CURRENT_CACHES.includes(cacheName) && !cacheName.startsWith(API_CACHE_PREFIX))
+          .map(cacheName => {
+            console.log('删除旧缓存:', cacheName);
+            return caches.delete(cacheName);
+          })
+      ))
+      .then(() => self.clients.claim())
   );
 });
 
-// 获取事件
+// 页面确认刷新后立即激活新版本；登录状态失效时页面通知清除 API 缓存
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+  if (event.data && event.data.type === 'clear-api-cache') {
+    event.waitUntil(deleteApiCaches());
+  }
+});
+
+// 获取事件：按请求类型选择缓存策略
 self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        // 如果缓存中有响应，则返回缓存的版本
-        if (response) {
-          return response;
-        }
-        return fetch(event.request);
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // 实时更新的事件流和非 GET 请求直接走网络（离线提交由发件箱处理）
+  if (request.method !== 'GET' || request.headers.get('Accept') === 'text/event-stream') {
+    return;
+  }
+
+  if (url.pathname.startsWith('/api/')) {
+    if (CACHEABLE_API.test(url.pathname)) {
+      event.respondWith(networkFirst(request, url));
+    }
+    return;
+  }
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, FONT_CACHE_NAME));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(appShell(request, url));
+  }
+});
+
+// 应用外壳：页面导航统一返回预缓存的 index.html，其余文件缓存优先
+async function appShell(request, url) {
+  const cache = await caches.open(PRECACHE_NAME);
+  const cached = request.mode === 'navigate'
+    ? await cache.match('/index.html')
+    : await cache.match(url.pathname);
+
+  return cached || fetch(request);
+}
+
+// 从 Authorization 头的 JWT 中读取用户ID（只用于区分缓存，不校验签名），未登录时为 public
+function getCacheOwner(request) {
+  const match = (request.headers.get('Authorization') || '').match(/^Bearer [^.]+\.([^.]+)\./);
+  if (!match) return 'public';
+
+  try {
+    const payload = JSON.parse(atob(match[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return String(payload.id || 'public').replace(/[^a-zA-Z0-9_-]/g, '');
+  } catch (error) {
+    return 'public';
+  }
+}
+
+// 删除 API 缓存，keepName 为需要保留的当前用户缓存
+async function deleteApiCaches(keepName = null) {
+  const cacheNames = await caches.keys();
+  await Promise.all(
+    cacheNames
+      .filter(cacheName => cacheName.startsWith(API_CACHE_PREFIX) && cacheName !== keepName)
+      .map(cacheName => caches.delete(cacheName))
+  );
+}
+
+// 网络优先：成功的响应写入当前用户的缓存，离线时返回缓存
+async function networkFirst(request, url) {
+  const cacheName = `${API_CACHE_PREFIX}${getCacheOwner(request)}`;
+  // 同一浏览器换了用户时，其他用户的缓存不能再被读取
+  await deleteApiCaches(cacheName);
+  const cache = await caches.open(cacheName);
+  // 只有第一页作为离线时的告解列表，翻页请求带有 cursor 参数
+  const isFeed = url.pathname === '/api/confessions' && !url.searchParams.has('cursor');
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      if (isFeed) {
+        await cache.put(LAST_FEED_URL, response.clone());
+      }
+      await trimCache(cache, API_CACHE_LIMIT);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) || (isFeed ? await cache.match(LAST_FEED_URL) : null);
+    if (cached) {
+      return markOffline(cached);
+    }
+
+    return new Response(JSON.stringify({ success: false, error: '网络不可用，且没有可用的离线数据' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json', 'X-Served-From-Cache': 'miss' }
+    });
+  }
+}
+
+// 标记离线返回的缓存数据，页面据此显示离线提示
+async function markOffline(response) {
+  const headers = new Headers(response.headers);
+  headers.set('X-Served-From-Cache', 'true');
+
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+// 超出数量时删除最早写入的缓存（最近一次的告解列表除外）
+async function trimCache(cache, limit) {
+  const keys = (await cache.keys()).filter(key => new URL(key.url).pathname !== LAST_FEED_URL);
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
+
+// stale-while-revalidate：有缓存时立即返回，同时在后台更新缓存
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const update = fetch(request)
+    .then(response => {
+      // 跨域字体为 opaque 响应，状态码为 0，同样可以缓存
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
       }
-    )
+      return response;
+    })
+    .catch(() => cached);
+
+  event.waitUntil(update);
+  return cached || update;
+}
+
+// 推送事件，消息格式 { title, body, url, tag }
+self.addEventListener('push', event => {
+  let message = {};
+  try {
+    message = event.data ? event.data.json() : {};
+  } catch (error) {
+    message = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(message.title || '赛博告解室', {
+      body: message.body || '',
+      icon: '/icon-192.png',
+      badge: '/icon-192.png',
+      tag: message.tag, // 同一告解的通知相互替换
+      renotify: !!message.tag,
+      data: { url: message.url || '/' }
+    })
   );
 });
 
-// 激活事件
-self.addEventListener('activate', event => {
+// 点击通知，打开对应的告解；已有打开的页面时直接切换过去
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+
+  const url = new URL(event.notification.data.url, self.location.origin);
+  const confessionId = url.searchParams.get('confession');
+
   event.waitUntil(
-    caches.keys().then(cacheNames => {
-      return Promise.all(
-        cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
-            console.log('删除旧缓存:', cacheName);
-            return caches.delete(cacheName);
-          }
-        })
-      );
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clientList => {
+      const client = clientList.find(item => new URL(item.url).origin === url.origin);
+      if (client) {
+        client.postMessage({ type: 'open-confession', confessionId });
+        return client.focus();
+      }
+      return self.clients.openWindow(url.href);
     })
   );
-});
\ No newline at end of file
+});
+
+// 后台同步：网络恢复后提交离线发件箱
+self.addEventListener('sync', event => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(replayOutbox());
+  }
+});
+
+// 使用页面保存的登录凭据提交，登录过期或需要作者确认的记录留给页面处理
+async function replayOutbox() {
+  const outbox = new ConfessionOutbox();
+  const auth = await outbox.getMeta('auth');
+  if (!auth || !auth.token) return;
+
+  const results = await outbox.replay(async entry => {
+    try {
+      const response = await fetch(`${auth.baseUrl}${entry.path}`, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${auth.token}`,
+          'X-Device-Id': auth.deviceId,
+          'Idempotency-Key': entry.id
+        },
+        body: JSON.stringify(entry.body)
+      });
+      const payload = await response.json().catch(() => null);
+      return { status: response.status, payload };
+    } catch (error) {
+      return { status: 0, payload: null };
+    }
+  });
+
+  if (results.length > 0) {
+    const clientList = await self.clients.matchAll({ type: 'window' });
+    clientList.forEach(client => client.postMessage({ type: 'outbox-synced' }));
+  }
+
+  // 网络仍不可用时抛出错误，由浏览器稍后再次触发同步
+  if (results.some(result => result.status === 0)) {
+    throw new Error('网络不可用，稍后重试');
+  }
+}